@@ -2,6 +2,8 @@ import BigNumber from 'bignumber.js';
 import isString from 'lodash/isString';
 import {Keypair} from './keypair';
 import {StrKey} from "./strkey";
+import {LedgerEntry} from "./ledger_entry";
+import {default as xdr} from "./generated/stellar-xdr_generated";
 
 export class Account {
   /**
@@ -28,6 +30,36 @@ export class Account {
     this.baseFee = parseInt(baseFee);
   }
 
+  /**
+   * Creates an Account object from the account entry stored in the ledger.
+   *
+   * Besides the ID and sequence number, the returned account has the state of the
+   * account entry: `accountType` (one of {@link AccountType}), `balance`, `numSubEntries`, `inflationDest`, `flags`
+   * (`authRequired`, `authRevocable`, `authImmutable`, `blockIncoming`, `blockOutgoing`),
+   * `homeDomain`, `thresholds` (`masterWeight`, `low`, `med`, `high`) and `signers`.
+   * See {@link LedgerEntry.accountFromXDRObject}.
+   * @param {string|xdr.AccountEntry} entry - An XDR AccountEntry or base64 encoded string.
+   * @param {string} [baseFee] current baseFee value
+   * @returns {Account}
+   */
+  static fromLedgerEntry(entry, baseFee) {
+    if (isString(entry)) {
+      entry = xdr.AccountEntry.fromXDR(new Buffer(entry, "base64"));
+    }
+
+    let attributes = LedgerEntry.accountFromXDRObject(entry);
+    let account = new Account(attributes.accountId, attributes.sequence, baseFee);
+    account.accountType = attributes.accountType;
+    account.balance = attributes.balance;
+    account.numSubEntries = attributes.numSubEntries;
+    account.inflationDest = attributes.inflationDest;
+    account.flags = attributes.flags;
+    account.homeDomain = attributes.homeDomain;
+    account.thresholds = attributes.thresholds;
+    account.signers = attributes.signers;
+    return account;
+  }
+
   /**
    * Returns Stellar account ID, ex. `GB3KJPLFUYN5VL6R3GU3EGCGVCKFDSD7BEDX42HWG5BWFKB3KQGJJRMA`
    * @returns {string}
@@ -142,6 +142,34 @@ export class Asset {
     return !this.issuer;
   }
 
+  /**
+   * Returns the JSON representation of this asset: `{type: "native"}` for the native asset,
+   * `{type, code, issuer}` for other assets, `type` being the value of {@link Asset#getAssetType}.
+   * @returns {object}
+   */
+  toJSON() {
+    if (this.isNative()) {
+      return {type: "native"};
+    }
+    return {type: this.getAssetType(), code: this.code, issuer: this.issuer};
+  }
+
+  /**
+   * Creates an asset from its JSON representation, see {@link Asset#toJSON}.
+   * @param {object} json - JSON representation of the asset.
+   * @returns {Asset}
+   */
+  static fromJSON(json) {
+    if (json.type === "native") {
+      return this.native();
+    }
+    let asset = new this(json.code, json.issuer);
+    if (asset.getAssetType() !== json.type) {
+      throw new Error(`Asset code ${json.code} does not match asset type ${json.type}`);
+    }
+    return asset;
+  }
+
   /**
    * Returns true if this asset equals the given asset.
    * @param {Asset} asset Asset to compare
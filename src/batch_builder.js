@@ -0,0 +1,123 @@
+import {TransactionBuilder} from "./transaction_builder";
+import {Fee} from "./fee";
+import map from "lodash/map";
+import each from "lodash/each";
+import chunk from "lodash/chunk";
+import clone from "lodash/clone";
+import isArray from "lodash/isArray";
+import isInteger from "lodash/isInteger";
+import isUndefined from "lodash/isUndefined";
+
+let MAX_OPERATIONS = 100;
+
+export class BatchBuilder {
+  /**
+   * Batch builder splits a list of operations into transactions of at most `maxOperations`
+   * operations. Transactions use the given {@link Account} as their source account and get
+   * consecutive sequence numbers, the sequence number of the account is incremented once for
+   * every built transaction.
+   *
+   * Fees are computed with {@link Fee.forTransactions}, so transactions following a `setFee`
+   * operation pay the higher of the old and the new base fee.
+   *
+   * ```
+   * var transactions = new BatchBuilder(source, {maxOperations: 50})
+   *   .addOperations(payments)
+   *   .build();
+   *
+   * transactions.forEach(transaction => transaction.sign(sourceKeypair));
+   * ```
+   * @constructor
+   * @param {Account} sourceAccount - The source account of the transactions.
+   * @param {object} [opts]
+   * @param {number} [opts.maxOperations] - The maximum number of operations per transaction (100 by default).
+   * @param {number} [opts.fee] - The base fee (**in stroops**), the base fee of the source account by default.
+   * @param {object} [opts.timebounds] - The timebounds of every transaction.
+   * @param {Memo} [opts.memo] - The memo of every transaction.
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network the transactions are signed for.
+   * @param {Network|string} [opts.network] - The network (or name of a registered network) the transactions are signed for.
+   */
+  constructor(sourceAccount, opts={}) {
+    if (!sourceAccount) {
+      throw new Error("must specify source account for the transactions");
+    }
+    let maxOperations = isUndefined(opts.maxOperations) ? MAX_OPERATIONS : opts.maxOperations;
+    if (!(isInteger(maxOperations) && maxOperations >= 1 && maxOperations <= MAX_OPERATIONS)) {
+      throw new Error(`maxOperations must be an integer between 1 and ${MAX_OPERATIONS}`);
+    }
+
+    this.source = sourceAccount;
+    this.operations = [];
+    this.maxOperations = maxOperations;
+    this.baseFee = opts.fee;
+    this.timebounds = clone(opts.timebounds);
+    this.memo = opts.memo;
+    this.networkPassphrase = opts.networkPassphrase;
+    this.network = opts.network;
+  }
+
+  /**
+   * Adds an operation to the batch.
+   * @param {xdr.Operation} operation The xdr operation object, use {@link Operation} static methods.
+   * @returns {BatchBuilder}
+   */
+  addOperation(operation) {
+    this.operations.push(operation);
+    return this;
+  }
+
+  /**
+   * Adds operations to the batch.
+   * @param {Array<xdr.Operation>} operations The xdr operation objects, use {@link Operation} static methods.
+   * @returns {BatchBuilder}
+   */
+  addOperations(operations) {
+    if (!isArray(operations)) {
+      throw new Error("operations must be an array");
+    }
+    each(operations, operation => this.addOperation(operation));
+    return this;
+  }
+
+  /**
+   * Builds the transactions in order of their sequence numbers.
+   *
+   * All transactions are checked with {@link TransactionBuilder#validate} before any of them is
+   * built, so the sequence number of the source account is not changed when an error is thrown.
+   * The error has an `index` property with the index of the invalid transaction and an `errors`
+   * property with its problems.
+   * @returns {Array<Transaction>}
+   */
+  build() {
+    if (this.operations.length === 0) {
+      throw new Error("batch must contain at least one operation");
+    }
+
+    let chunks = chunk(this.operations, this.maxOperations);
+    let fees = Fee.forTransactions(chunks, isUndefined(this.baseFee) ? this.source : this.baseFee);
+
+    let builders = map(chunks, (operations, index) => {
+      let builder = new TransactionBuilder(this.source, {
+        fee: fees[index].baseFee,
+        timebounds: this.timebounds,
+        memo: this.memo,
+        networkPassphrase: this.networkPassphrase,
+        network: this.network
+      });
+      each(operations, operation => builder.addOperation(operation));
+      return builder;
+    });
+
+    each(builders, (builder, index) => {
+      let errors = builder.validate();
+      if (errors.length > 0) {
+        let error = new Error(`Invalid transaction ${index}: ${map(errors, "message").join("; ")}`);
+        error.index = index;
+        error.errors = errors;
+        throw error;
+      }
+    });
+
+    return map(builders, builder => builder.build());
+  }
+}
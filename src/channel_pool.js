@@ -0,0 +1,170 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {Keypair} from "./keypair";
+import {StrKey} from "./strkey";
+import {TransactionBuilder} from "./transaction_builder";
+import BigNumber from 'bignumber.js';
+import map from "lodash/map";
+import each from "lodash/each";
+import find from "lodash/find";
+import filter from "lodash/filter";
+import has from "lodash/has";
+import isArray from "lodash/isArray";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+export class ChannelPool {
+  /**
+   * `ChannelPool` leases channel accounts used as source accounts of transactions built in
+   * parallel, while operations keep the funding account as their source. Every channel
+   * account has its own sequence number, so transactions using different channels can be
+   * submitted in any order.
+   *
+   * A leased channel must be released with {@link ChannelPool#release} once its transaction
+   * is applied, or rewound with {@link ChannelPool#rewind} when the transaction failed or was
+   * never submitted. Transactions built with a channel must be signed by both the channel
+   * account and the funding account.
+   *
+   * ```
+   * var pool = new ChannelPool(fundingAccountId, [channelA, channelB]);
+   * var {channel, transaction} = pool.build([Operation.payment({destination, amount: "10"})]);
+   * transaction.sign(channelKeypair, fundingKeypair);
+   * // submit, then
+   * pool.release(channel); // or pool.rewind(channel) if the transaction failed
+   * ```
+   * @constructor
+   * @param {string} fundingAccountId - ID of the account funding the operations.
+   * @param {Array<Account>} channels - Channel accounts with their current sequence numbers.
+   */
+  constructor(fundingAccountId, channels) {
+    if (!StrKey.isValidEd25519PublicKey(fundingAccountId)) {
+      throw new Error("fundingAccountId is invalid");
+    }
+    if (!isArray(channels) || channels.length === 0) {
+      throw new Error("at least one channel account is required");
+    }
+
+    let ids = {};
+    each(channels, channel => {
+      let accountId = channel.accountId();
+      if (accountId === fundingAccountId) {
+        throw new Error("the funding account cannot be a channel account");
+      }
+      if (ids[accountId]) {
+        throw new Error(`Duplicate channel account: ${accountId}`);
+      }
+      ids[accountId] = true;
+    });
+
+    this.fundingAccountId = fundingAccountId;
+    this.channels = channels;
+
+    // sequence numbers of leased channels at the time they were leased, by account ID
+    this._leases = {};
+  }
+
+  /**
+   * Returns channel accounts that are not leased.
+   * @returns {Array<Account>}
+   */
+  available() {
+    return filter(this.channels, channel => !has(this._leases, channel.accountId()));
+  }
+
+  /**
+   * Returns leased channel accounts.
+   * @returns {Array<Account>}
+   */
+  leased() {
+    return filter(this.channels, channel => has(this._leases, channel.accountId()));
+  }
+
+  /**
+   * Leases a channel account. Throws an error when all channel accounts are leased.
+   * @returns {Account}
+   */
+  lease() {
+    let channel = this.available()[0];
+    if (!channel) {
+      throw new Error("All channel accounts are leased");
+    }
+    this._leases[channel.accountId()] = channel.sequenceNumber();
+    return channel;
+  }
+
+  /**
+   * Returns a leased channel account to the pool, keeping its sequence number. Use it once
+   * the transaction built with the channel is applied.
+   * @param {Account|string} channel - Channel account or its ID.
+   * @returns {void}
+   */
+  release(channel) {
+    channel = this._leasedChannel(channel);
+    delete this._leases[channel.accountId()];
+  }
+
+  /**
+   * Returns a leased channel account to the pool and sets its sequence number back to the one
+   * it had when it was leased, or to the given sequence number (ex. the one loaded from the
+   * network). Use it when the transaction built with the channel failed or was never submitted.
+   * @param {Account|string} channel - Channel account or its ID.
+   * @param {string} [sequence] - Current sequence number of the channel account.
+   * @returns {void}
+   */
+  rewind(channel, sequence) {
+    channel = this._leasedChannel(channel);
+    let value = isUndefined(sequence) ? this._leases[channel.accountId()] : sequence;
+    if (!isString(value)) {
+      throw new Error("sequence must be of type string");
+    }
+    channel.sequence = new BigNumber(value);
+    delete this._leases[channel.accountId()];
+  }
+
+  /**
+   * Leases a channel account and builds a transaction with the given operations. Operations
+   * without a source account get the funding account as their source, the given operation
+   * objects are not changed. The channel is rewound if the transaction cannot be built.
+   * @param {Array<xdr.Operation>} operations - The xdr operation objects, use {@link Operation} static methods.
+   * @param {object} [opts] - Options of {@link TransactionBuilder}.
+   * @returns {{channel: Account, transaction: Transaction}}
+   */
+  build(operations, opts={}) {
+    let channel = this.lease();
+    let fundingAccount = Keypair.fromPublicKey(this.fundingAccountId).xdrAccountId();
+
+    try {
+      let builder = new TransactionBuilder(channel, opts);
+      each(map(operations, operation => {
+        if (!(operation instanceof xdr.Operation) || operation.sourceAccount()) {
+          return operation;
+        }
+        let copy = xdr.Operation.fromXDR(operation.toXDR());
+        copy.sourceAccount(fundingAccount);
+        return copy;
+      }), operation => builder.addOperation(operation));
+      return {channel, transaction: builder.build()};
+    } catch (e) {
+      this.rewind(channel);
+      throw e;
+    }
+  }
+
+  /**
+   * Returns the leased channel account. Throws an error when the account is not a leased
+   * channel of this pool.
+   * @param {Account|string} channel - Channel account or its ID.
+   * @returns {Account}
+   * @private
+   */
+  _leasedChannel(channel) {
+    let accountId = isString(channel) ? channel : channel.accountId();
+    let result = find(this.channels, candidate => candidate.accountId() === accountId);
+    if (!result) {
+      throw new Error(`${accountId} is not a channel account of this pool`);
+    }
+    if (!has(this._leases, accountId)) {
+      throw new Error(`Channel account ${accountId} is not leased`);
+    }
+    return result;
+  }
+}
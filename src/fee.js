@@ -0,0 +1,119 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {Account} from "./account";
+import {Network} from "./network";
+import map from "lodash/map";
+import each from "lodash/each";
+import isArray from "lodash/isArray";
+import isInteger from "lodash/isInteger";
+import isUndefined from "lodash/isUndefined";
+
+const MAX_FEE = 0xFFFFFFFF; // max uint32
+
+/**
+ * Fee is a helper class that computes transaction fees from the network base fee.
+ *
+ * The minimum fee of a transaction is the base fee multiplied by the number of its operations.
+ * A `setFee` operation changes the base fee of the network. As transactions submitted after it
+ * can be applied in the same ledger (with the old base fee) or in a later one (with the new base
+ * fee), {@link Fee.forTransactions} uses the higher of both for the following transactions.
+ *
+ * Base fees are given as a number (**in stroops**), an {@link Account} (its `baseFee`) or a
+ * {@link Network} registered with a `baseFee`. When omitted, the base fee of {@link Network.current}
+ * is used.
+ */
+export class Fee {
+  /**
+   * Returns the minimum fee of a transaction with the given operations.
+   * @param {number|Array} operations - Number of operations or the operations of the transaction.
+   * @param {number|Account|Network} [baseFee] - Base fee of the network.
+   * @returns {number}
+   */
+  static minimum(operations, baseFee) {
+    let count = isArray(operations) ? operations.length : operations;
+    let fee = resolveBaseFee(baseFee) * count;
+    if (fee > MAX_FEE) {
+      throw new Error(`fee ${fee} does not fit in uint32`);
+    }
+    return fee;
+  }
+
+  /**
+   * Checks a fee override against the minimum fee of the operations. Throws an error when
+   * the fee is not a uint32 integer or is lower than the minimum fee.
+   * @param {number} fee - Fee of the transaction (**in stroops**).
+   * @param {number|Array} operations - Number of operations or the operations of the transaction.
+   * @param {number|Account|Network} [baseFee] - Base fee of the network.
+   * @returns {number} The fee.
+   */
+  static validate(fee, operations, baseFee) {
+    if (!(isInteger(fee) && fee >= 0 && fee <= MAX_FEE)) {
+      throw new Error(`fee must be an integer between 0 and ${MAX_FEE}, got ${fee}`);
+    }
+    let minimum = this.minimum(operations, baseFee);
+    if (fee < minimum) {
+      throw new Error(`fee ${fee} is lower than the minimum fee ${minimum}`);
+    }
+    return fee;
+  }
+
+  /**
+   * Returns the base fee after the given operations are applied: the base fee of the last
+   * `setFee` operation, or the given base fee if there is none.
+   * @param {Array<xdr.Operation|object>} operations - XDR operations or operations decoded with {@link Operation.fromXDRObject}.
+   * @param {number|Account|Network} [baseFee] - Base fee of the network.
+   * @returns {number}
+   */
+  static baseFeeAfter(operations, baseFee) {
+    let result = resolveBaseFee(baseFee);
+    each(operations, operation => {
+      let newBaseFee = setFeeBaseFee(operation);
+      if (!isUndefined(newBaseFee)) {
+        result = newBaseFee;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Computes the fees of transactions submitted in order. Every transaction pays the minimum
+   * fee for the base fee in effect. After a transaction with a `setFee` operation the higher of
+   * the old and the new base fee is used.
+   * @param {Array<Array|Transaction>} transactions - Transactions or lists of their operations.
+   * @param {number|Account|Network} [baseFee] - Base fee of the network.
+   * @returns {Array<{baseFee: number, fee: number}>}
+   */
+  static forTransactions(transactions, baseFee) {
+    let current = resolveBaseFee(baseFee);
+    return map(transactions, transaction => {
+      let operations = isArray(transaction) ? transaction : transaction.operations;
+      let result = {baseFee: current, fee: this.minimum(operations, current)};
+      current = Math.max(current, this.baseFeeAfter(operations, current));
+      return result;
+    });
+  }
+}
+
+function resolveBaseFee(baseFee) {
+  let value = baseFee;
+  if (isUndefined(value)) {
+    let network = Network.current();
+    value = network ? network.baseFee() : undefined;
+  } else if (value instanceof Account) {
+    value = value.baseFee;
+  } else if (value instanceof Network) {
+    value = value.baseFee();
+  }
+
+  if (!(isInteger(value) && value >= 0)) {
+    throw new Error("A base fee (non-negative integer) is required");
+  }
+  return value;
+}
+
+function setFeeBaseFee(operation) {
+  if (operation instanceof xdr.Operation) {
+    let body = operation.body();
+    return body.switch() === xdr.OperationType.setFee() ? body.setFeeOp().baseFee() : undefined;
+  }
+  return operation.type === "setFee" ? operation.baseFee : undefined;
+}
@@ -8,8 +8,18 @@ export {Keypair} from "./keypair";
 export {UnsignedHyper,Hyper} from "js-xdr";
 export {Transaction} from "./transaction";
 export {TransactionBuilder} from "./transaction_builder";
+export {BatchBuilder} from "./batch_builder";
+export {ChannelPool} from "./channel_pool";
+export {SequenceManager} from "./sequence_manager";
+export {TransactionUri} from "./transaction_uri";
+export {TransactionResult} from "./transaction_result";
+export {ResultCodes} from "./result_codes";
+export {TransactionMeta} from "./transaction_meta";
+export {LedgerEntry} from "./ledger_entry";
+export {Multisig} from "./multisig";
+export {Fee} from "./fee";
 export {Asset} from "./asset";
-export {Operation, AuthRequiredFlag, AuthRevocableFlag, AuthImmutableFlag, BlockIncomingFlag, BlockOutgoingFlag} from "./operation";
+export {Operation, AuthRequiredFlag, AuthRevocableFlag, AuthImmutableFlag, BlockIncomingFlag, BlockOutgoingFlag, AccountType, SignerType} from "./operation";
 export * from "./memo";
 export {Account} from "./account";
 export {Network, Networks} from "./network";
@@ -90,13 +90,28 @@ export class Keypair {
 
   /**
    * Returns `Keypair` object representing network master key.
+   *
+   * The master key is derived from the network ID, unless the network was registered
+   * with a `masterKey` (see {@link Network.register}).
+   * @param {Network|string} [network] Network, name of a registered network or network passphrase
+   *                         (see {@link Network.resolve}). Defaults to {@link Network.current}.
    * @returns {Keypair}
    */
-  static master() {
-    if (Network.current() === null) {
+  static master(network) {
+    if (network) {
+      network = Network.resolve(network);
+    } else {
+      network = Network.current();
+    }
+    if (network === null) {
       throw new Error("No network selected. Use `Network.use`, `Network.usePublicNetwork` or `Network.useTestNetwork` helper methods to select network.");
     }
-    return this.fromRawEd25519Seed(Network.current().networkId());
+
+    let masterKey = network.masterKey();
+    if (masterKey) {
+      return StrKey.isValidEd25519SecretSeed(masterKey) ? this.fromSecret(masterKey) : this.fromPublicKey(masterKey);
+    }
+    return this.fromRawEd25519Seed(network.networkId());
   }
 
   /**
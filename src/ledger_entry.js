@@ -0,0 +1,201 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {StrKey} from "./strkey";
+import {Asset} from "./asset";
+import {Operation, AuthRequiredFlag, AuthRevocableFlag, AuthImmutableFlag, BlockIncomingFlag, BlockOutgoingFlag} from "./operation";
+import map from "lodash/map";
+import isString from 'lodash/isString';
+
+// `xdr.LedgerEntryType` names that differ from the `type` returned by `LedgerEntry`
+const ENTRY_TYPES = {
+  datum: "data"
+};
+
+const AUTHORIZED_FLAG = 1;
+const PASSIVE_FLAG = 1;
+
+/**
+ * LedgerEntry is a helper class that converts XDR ledger entries and ledger keys
+ * to plain JS values: account IDs are encoded as strkey, amounts are converted the
+ * same way as in {@link Operation.fromXDRObject} and flags are split into booleans.
+ */
+export class LedgerEntry {
+  /**
+   * Converts the XDR LedgerEntry object to a plain object. The returned object contains
+   * `type` (`account`, `trustline`, `offer` or `data`), `lastModifiedLedgerSeq` and
+   * the fields of the entry.
+   * @param {string|xdr.LedgerEntry} entry - An XDR LedgerEntry or base64 encoded string.
+   * @returns {object}
+   */
+  static fromXDRObject(entry) {
+    if (isString(entry)) {
+      entry = xdr.LedgerEntry.fromXDR(new Buffer(entry, "base64"));
+    }
+
+    let data = entry.data();
+    let result;
+    switch (data.switch()) {
+      case xdr.LedgerEntryType.account():
+      result = this.accountFromXDRObject(data.account());
+      break;
+      case xdr.LedgerEntryType.trustline():
+      result = this.trustLineFromXDRObject(data.trustLine());
+      break;
+      case xdr.LedgerEntryType.offer():
+      result = this.offerFromXDRObject(data.offer());
+      break;
+      case xdr.LedgerEntryType.datum():
+      result = this.dataFromXDRObject(data.data());
+      break;
+      default:
+      throw new Error(`Unknown ledger entry type: ${data.switch().name}`);
+    }
+
+    result.type = entryType(data.switch());
+    result.lastModifiedLedgerSeq = entry.lastModifiedLedgerSeq();
+    return result;
+  }
+
+  /**
+   * Converts the XDR LedgerKey object to a plain object. The returned object contains
+   * `type` and the fields identifying the entry.
+   * @param {xdr.LedgerKey} key - An XDR LedgerKey.
+   * @returns {object}
+   */
+  static keyFromXDRObject(key) {
+    let result = {};
+    switch (key.switch()) {
+      case xdr.LedgerEntryType.account():
+      result.accountId = accountIdtoAddress(key.account().accountId());
+      break;
+      case xdr.LedgerEntryType.trustline():
+      result.accountId = accountIdtoAddress(key.trustLine().accountId());
+      result.asset = Asset.fromOperation(key.trustLine().asset());
+      break;
+      case xdr.LedgerEntryType.offer():
+      result.sellerId = accountIdtoAddress(key.offer().sellerId());
+      result.offerId = key.offer().offerId().toString();
+      break;
+      case xdr.LedgerEntryType.datum():
+      result.accountId = accountIdtoAddress(key.data().accountId());
+      result.name = key.data().dataName();
+      break;
+      default:
+      throw new Error(`Unknown ledger entry type: ${key.switch().name}`);
+    }
+
+    result.type = entryType(key.switch());
+    return result;
+  }
+
+  /**
+   * Converts the XDR AccountEntry object to a plain object.
+   * @param {xdr.AccountEntry} account - An XDR AccountEntry.
+   * @returns {object}
+   */
+  static accountFromXDRObject(account) {
+    let thresholds = account.thresholds();
+    let result = {};
+    result.accountId = accountIdtoAddress(account.accountId());
+    result.accountType = Operation._accountTypeName(account.accountType());
+    result.balance = Operation._fromXDRAmount(account.balance());
+    result.sequence = account.seqNum().toString();
+    result.numSubEntries = account.numSubEntries();
+    if (account.inflationDest()) {
+      result.inflationDest = accountIdtoAddress(account.inflationDest());
+    }
+    result.flags = {
+      authRequired: (account.flags() & AuthRequiredFlag) !== 0,
+      authRevocable: (account.flags() & AuthRevocableFlag) !== 0,
+      authImmutable: (account.flags() & AuthImmutableFlag) !== 0,
+      blockIncoming: (account.flags() & BlockIncomingFlag) !== 0,
+      blockOutgoing: (account.flags() & BlockOutgoingFlag) !== 0
+    };
+    result.homeDomain = account.homeDomain();
+    result.thresholds = {
+      masterWeight: thresholds[xdr.ThresholdIndices.thresholdMasterWeight().value],
+      low: thresholds[xdr.ThresholdIndices.thresholdLow().value],
+      med: thresholds[xdr.ThresholdIndices.thresholdMed().value],
+      high: thresholds[xdr.ThresholdIndices.thresholdHigh().value]
+    };
+    result.signers = map(account.signers(), signer => this.signerFromXDRObject(signer));
+    return result;
+  }
+
+  /**
+   * Converts the XDR TrustLineEntry object to a plain object.
+   * @param {xdr.TrustLineEntry} trustLine - An XDR TrustLineEntry.
+   * @returns {object}
+   */
+  static trustLineFromXDRObject(trustLine) {
+    return {
+      accountId: accountIdtoAddress(trustLine.accountId()),
+      asset: Asset.fromOperation(trustLine.asset()),
+      balance: Operation._fromXDRAmount(trustLine.balance()),
+      limit: Operation._fromXDRAmount(trustLine.limit()),
+      authorized: (trustLine.flags() & AUTHORIZED_FLAG) !== 0
+    };
+  }
+
+  /**
+   * Converts the XDR OfferEntry object to a plain object.
+   * @param {xdr.OfferEntry} offer - An XDR OfferEntry.
+   * @returns {object}
+   */
+  static offerFromXDRObject(offer) {
+    return {
+      sellerId: accountIdtoAddress(offer.sellerId()),
+      offerId: offer.offerId().toString(),
+      selling: Asset.fromOperation(offer.selling()),
+      buying: Asset.fromOperation(offer.buying()),
+      amount: Operation._fromXDRAmount(offer.amount()),
+      price: Operation._fromXDRPrice(offer.price()),
+      passive: (offer.flags() & PASSIVE_FLAG) !== 0
+    };
+  }
+
+  /**
+   * Converts the XDR DataEntry object to a plain object.
+   * @param {xdr.DataEntry} data - An XDR DataEntry.
+   * @returns {object}
+   */
+  static dataFromXDRObject(data) {
+    return {
+      accountId: accountIdtoAddress(data.accountId()),
+      name: data.dataName(),
+      value: data.dataValue()
+    };
+  }
+
+  /**
+   * Converts the XDR Signer object to a plain object with one of `ed25519PublicKey`,
+   * `preAuthTx` or `sha256Hash`, `weight` and `signerType` (one of {@link SignerType}).
+   * @param {xdr.Signer} signer - An XDR Signer.
+   * @returns {object}
+   */
+  static signerFromXDRObject(signer) {
+    let result = {};
+    let key = signer.key();
+    switch (key.switch()) {
+      case xdr.SignerKeyType.signerKeyTypeEd25519():
+      result.ed25519PublicKey = StrKey.encodeEd25519PublicKey(key.ed25519());
+      break;
+      case xdr.SignerKeyType.signerKeyTypePreAuthTx():
+      result.preAuthTx = key.preAuthTx();
+      break;
+      case xdr.SignerKeyType.signerKeyTypeHashX():
+      result.sha256Hash = key.hashX();
+      break;
+    }
+    result.weight = signer.weight();
+    result.signerType = Operation._signerTypeName(signer.signerType());
+    return result;
+  }
+}
+
+function entryType(type) {
+  return ENTRY_TYPES[type.name] || type.name;
+}
+
+function accountIdtoAddress(accountId) {
+  return StrKey.encodeEd25519PublicKey(accountId.ed25519());
+}
@@ -219,6 +219,31 @@ export class Memo {
     }
   }
 
+  /**
+   * Returns the JSON representation of this memo: `{type, value}`. `value` is `null` for
+   * `MemoNone`, a string for `MemoID` and `MemoText` and a hex encoded string for `MemoHash`
+   * and `MemoReturn`.
+   * @returns {{type: string, value: ?string}}
+   */
+  toJSON() {
+    switch (this._type) {
+      case MemoHash:
+      case MemoReturn:
+        return {type: this._type, value: this._value.toString('hex')};
+      default:
+        return {type: this._type, value: this.value};
+    }
+  }
+
+  /**
+   * Returns {@link Memo} from its JSON representation, see {@link Memo#toJSON}.
+   * @param {{type: string, value: ?string}} json - JSON representation of the memo.
+   * @returns {Memo}
+   */
+  static fromJSON(json) {
+    return new Memo(json.type, json.type === MemoNone ? null : json.value);
+  }
+
   /**
    * Returns {@link Memo} from XDR memo object.
    * @param {xdr.Memo}
@@ -0,0 +1,170 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {Operation} from "./operation";
+import {LedgerEntry} from "./ledger_entry";
+import {Transaction} from "./transaction";
+import map from "lodash/map";
+import each from "lodash/each";
+import every from "lodash/every";
+import filter from "lodash/filter";
+import reduce from "lodash/reduce";
+import isArray from "lodash/isArray";
+import uniqBy from "lodash/uniqBy";
+import isFunction from "lodash/isFunction";
+import isUndefined from "lodash/isUndefined";
+
+// Operation thresholds, as documented in Stellar-transaction.x. Other operations use `med`.
+const LOW_THRESHOLD_OPERATIONS = ["allowTrust", "inflation"];
+const HIGH_THRESHOLD_OPERATIONS = ["accountMerge"];
+
+/**
+ * Multisig is a helper class that checks whether the signatures attached to a
+ * {@link Transaction} reach the thresholds of the accounts it is signed for.
+ *
+ * Accounts are given as {@link Account} objects created with {@link Account.fromLedgerEntry}
+ * or as objects returned by {@link LedgerEntry.accountFromXDRObject}: they must have
+ * `thresholds` (`masterWeight`, `low`, `med`, `high`) and `signers`. Signers can be plain
+ * objects or `xdr.Signer` structs.
+ */
+export class Multisig {
+  /**
+   * Returns the threshold level (`low`, `med` or `high`) required by the operation.
+   * `setOptions` requires `high` when it changes the master weight, thresholds or signers.
+   * @param {object|xdr.Operation} operation - Operation decoded with {@link Operation.fromXDRObject} or an XDR Operation.
+   * @returns {string}
+   */
+  static operationThreshold(operation) {
+    if (operation instanceof xdr.Operation) {
+      operation = Operation.fromXDRObject(operation);
+    }
+
+    if (LOW_THRESHOLD_OPERATIONS.indexOf(operation.type) >= 0) {
+      return "low";
+    }
+    if (HIGH_THRESHOLD_OPERATIONS.indexOf(operation.type) >= 0) {
+      return "high";
+    }
+    if (operation.type === "setOptions") {
+      let changesSigning = !isUndefined(operation.masterWeight) ||
+        !isUndefined(operation.lowThreshold) ||
+        !isUndefined(operation.medThreshold) ||
+        !isUndefined(operation.highThreshold) ||
+        !isUndefined(operation.signer);
+      return changesSigning ? "high" : "med";
+    }
+    return "med";
+  }
+
+  /**
+   * Returns signers of the account (including the master key, unless its weight is 0)
+   * that signed the transaction, and the sum of their weights. The master key is
+   * returned as `{ed25519PublicKey, weight}`.
+   * @param {Transaction} transaction - Signed transaction.
+   * @param {Account|object} account - Account with `thresholds` and `signers`.
+   * @returns {{weight: number, signers: Array<object>}}
+   */
+  static signingWeight(transaction, account) {
+    let {accountId, thresholds, signers} = accountSigners(account);
+
+    let candidates = filter([{ed25519PublicKey: accountId, weight: thresholds.masterWeight}].concat(signers), "weight");
+    let verification = transaction.verifySignatures(candidates);
+    let matched = filter(candidates, signer => {
+      return verification.preAuthTx.indexOf(signer) >= 0 ||
+        verification.signatures.some(signature => signature.signer === signer);
+    });
+
+    return {
+      weight: reduce(matched, (sum, signer) => sum + signer.weight, 0),
+      signers: matched
+    };
+  }
+
+  /**
+   * Checks the signatures of the transaction against the thresholds of its source accounts.
+   *
+   * The transaction source account must reach its `low` threshold (to pay the fee and
+   * consume the sequence number) and the source account of every operation must reach
+   * the threshold of the operation (see {@link Multisig.operationThreshold}). At least one
+   * signature is required even if the threshold is 0.
+   *
+   * Every check is returned as `{source, threshold, required, weight, signers, ready}`,
+   * operation checks also contain the operation `type`.
+   * @param {Transaction} transaction - Signed transaction.
+   * @param {Account|object|Array<Account|object>} accounts - Source accounts of the transaction and its operations.
+   * @returns {{ready: boolean, transaction: object, operations: Array<object>}}
+   */
+  static evaluate(transaction, accounts) {
+    let accountsById = {};
+    each(isArray(accounts) ? accounts : [accounts], account => {
+      accountsById[accountSigners(account).accountId] = account;
+    });
+
+    let check = (source, threshold) => {
+      let account = accountsById[source];
+      if (!account) {
+        throw new Error(`Thresholds and signers of account ${source} are required`);
+      }
+
+      let required = accountSigners(account).thresholds[threshold];
+      let {weight, signers} = this.signingWeight(transaction, account);
+      return {source, threshold, required, weight, signers, ready: weight > 0 && weight >= required};
+    };
+
+    let result = {};
+    result.transaction = check(transaction.source, "low");
+    result.operations = map(transaction.operations, operation => {
+      let operationCheck = check(operation.source || transaction.source, this.operationThreshold(operation));
+      operationCheck.type = operation.type;
+      return operationCheck;
+    });
+    result.ready = result.transaction.ready && every(result.operations, "ready");
+    return result;
+  }
+
+  /**
+   * Merges signatures of envelopes of the same transaction, ex. signed by several signers on
+   * different machines, into a single transaction. Duplicate signatures are kept once.
+   *
+   * All envelopes are hashed for the same network and must have the same hash, otherwise an error is thrown.
+   * @param {Array<Transaction|string|xdr.TransactionEnvelope>} transactions - Transactions, or envelope objects or base64 encoded strings.
+   * @param {Network|string} [network] - The network (or its registered name or passphrase) the transactions are signed for. Defaults to
+   *                         the network of the first transaction if it is a {@link Transaction}, {@link Network.current} otherwise.
+   * @returns {Transaction} The first transaction with all signatures.
+   */
+  static mergeSignatures(transactions, network) {
+    if (!isArray(transactions) || transactions.length === 0) {
+      throw new Error("At least one transaction is required");
+    }
+
+    if (!network && transactions[0] instanceof Transaction) {
+      network = transactions[0].networkPassphrase;
+    }
+    transactions = map(transactions, transaction => {
+      let envelope = transaction instanceof Transaction ? transaction.toEnvelope() : transaction;
+      return new Transaction(envelope, network);
+    });
+
+    let result = transactions[0];
+    let expectedHash = result.hash().toString('hex');
+    let signatures = [];
+    each(transactions, (transaction, index) => {
+      let transactionHash = transaction.hash().toString('hex');
+      if (transactionHash !== expectedHash) {
+        throw new Error(`Transaction ${index} has hash ${transactionHash}, expected ${expectedHash}: envelopes are not of the same transaction`);
+      }
+      signatures = signatures.concat(transaction.signatures);
+    });
+
+    result.signatures = uniqBy(signatures, signature => signature.toXDR('hex'));
+    return result;
+  }
+}
+
+function accountSigners(account) {
+  return {
+    accountId: isFunction(account.accountId) ? account.accountId() : account.accountId,
+    thresholds: account.thresholds,
+    signers: map(account.signers, signer => {
+      return signer instanceof xdr.Signer ? LedgerEntry.signerFromXDRObject(signer) : signer;
+    })
+  };
+}
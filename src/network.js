@@ -1,4 +1,10 @@
 import {hash} from "./hashing";
+import {StrKey} from "./strkey";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+import isInteger from "lodash/isInteger";
+import find from "lodash/find";
+import values from "lodash/values";
 
 /**
  * Contains passphrases for common networks:
@@ -12,6 +18,7 @@ export const Networks = {
 };
 
 var current = null;
+var registry = {};
 
 export class Network {
 	/**
@@ -22,12 +29,124 @@ export class Network {
    * You should select network your app will use before adding the first signature. You can use the `use`,
    * `usePublicNetwork` and `useTestNetwork` helper methods.
    *
+	 * Networks with their own passphrase, base fee or master key can be registered with
+	 * {@link Network.register} and then referenced by name.
+	 *
 	 * Creates a new `Network` object.
 	 * @constructor
 	 * @param {string} networkPassphrase Network passphrase
+	 * @param {object} [opts]
+	 * @param {string} [opts.name] Name of the network in the registry
+	 * @param {number} [opts.baseFee] Base fee of the network (**in stroops**)
+	 * @param {string} [opts.masterKey] Public key or secret seed of the network master account
 	 */
-	constructor(networkPassphrase) {
+	constructor(networkPassphrase, opts={}) {
 		this._networkPassphrase = networkPassphrase;
+		this._name = opts.name || null;
+		this._baseFee = opts.baseFee;
+		this._masterKey = opts.masterKey;
+	}
+
+	/**
+	 * Registers a network under the given name. Registering a name again replaces the network.
+	 * @param {string} name Name of the network
+	 * @param {object} opts
+	 * @param {string} opts.passphrase Network passphrase
+	 * @param {number} [opts.baseFee] Base fee of the network (**in stroops**)
+	 * @param {string} [opts.masterKey] Public key or secret seed of the network master account,
+	 *                 used by {@link Keypair.master} instead of the key derived from the network ID
+	 * @returns {Network}
+	 */
+	static register(name, opts={}) {
+		if (!isString(name) || name.length === 0) {
+			throw new Error("name must be a non-empty string");
+		}
+		if (!isString(opts.passphrase) || opts.passphrase.length === 0) {
+			throw new Error("passphrase must be a non-empty string");
+		}
+		if (!isUndefined(opts.baseFee) && !(isInteger(opts.baseFee) && opts.baseFee >= 0)) {
+			throw new Error("baseFee must be a non-negative integer");
+		}
+		if (!isUndefined(opts.masterKey) &&
+			!StrKey.isValidEd25519PublicKey(opts.masterKey) &&
+			!StrKey.isValidEd25519SecretSeed(opts.masterKey)) {
+			throw new Error("masterKey must be a public key or a secret seed");
+		}
+
+		let network = new Network(opts.passphrase, {name, baseFee: opts.baseFee, masterKey: opts.masterKey});
+		registry[name] = network;
+		return network;
+	}
+
+	/**
+	 * Removes a network from the registry.
+	 * @param {string} name Name of the network
+	 */
+	static unregister(name) {
+		delete registry[name];
+	}
+
+	/**
+	 * Returns a registered network by its name or network ID (Buffer or hex string).
+	 * @param {string|Buffer} nameOrId Name or ID of the network
+	 * @returns {Network|null}
+	 */
+	static get(nameOrId) {
+		if (isString(nameOrId) && registry.hasOwnProperty(nameOrId)) {
+			return registry[nameOrId];
+		}
+
+		let id = Buffer.isBuffer(nameOrId) ? nameOrId.toString("hex") : nameOrId;
+		return find(values(registry), network => network.networkId().toString("hex") === id) || null;
+	}
+
+	/**
+	 * Returns all registered networks.
+	 * @returns {Network[]}
+	 */
+	static registered() {
+		return values(registry);
+	}
+
+	/**
+	 * Returns a `Network` for a `Network` object or the name or ID of a registered network.
+	 * Throws an error for unknown networks, use {@link Network.fromPassphrase} for network passphrases.
+	 * @param {Network|string|Buffer} network Network, name or ID of the network
+	 * @returns {Network}
+	 */
+	static from(network) {
+		if (network instanceof Network) {
+			return network;
+		}
+		let registered = this.get(network);
+		if (registered === null) {
+			throw new Error(`Unknown network: ${network}`);
+		}
+		return registered;
+	}
+
+	/**
+	 * Returns the registered network with the given passphrase, or a new `Network` if no
+	 * registered network has it.
+	 * @param {string} passphrase Network passphrase
+	 * @returns {Network}
+	 */
+	static fromPassphrase(passphrase) {
+		return this.get(hash(passphrase)) || new Network(passphrase);
+	}
+
+	/**
+	 * Returns a `Network` for a `Network` object, the name or ID of a registered network or a network
+	 * passphrase. Registered names and IDs are looked up first, other strings are read as passphrases
+	 * (see {@link Network.fromPassphrase}).
+	 * @param {Network|string|Buffer} network Network, name or ID of the network, or network passphrase
+	 * @returns {Network}
+	 */
+	static resolve(network) {
+		if (network instanceof Network) {
+			return network;
+		}
+		return this.get(network) || this.fromPassphrase(network);
 	}
 
 	/**
@@ -45,10 +164,13 @@ export class Network {
 	}
 
 	/**
-	 * Use network defined by Network object.
-	 * @param {Network} network Network to use
+	 * Use network defined by Network object or the name of a registered network.
+	 * @param {Network|string} network Network to use
 	 */
 	static use(network) {
+		if (isString(network)) {
+			network = this.from(network);
+		}
 		current = network;
 	}
 
@@ -68,6 +190,30 @@ export class Network {
 		return this._networkPassphrase;
 	}
 
+	/**
+	 * Returns the name of a registered network.
+	 * @returns {string|null}
+	 */
+	name() {
+		return this._name;
+	}
+
+	/**
+	 * Returns the base fee of the network (**in stroops**), if known.
+	 * @returns {number|undefined}
+	 */
+	baseFee() {
+		return this._baseFee;
+	}
+
+	/**
+	 * Returns the public key or secret seed of the network master account, if registered.
+	 * @returns {string|undefined}
+	 */
+	masterKey() {
+		return this._masterKey;
+	}
+
 	/**
 	 * Returns Network ID. Network ID is SHA-256 hash of network passphrase.
 	 * @returns {string}
@@ -76,3 +222,6 @@ export class Network {
 		return hash(this.networkPassphrase());
 	}
 }
+
+Network.register("public", {passphrase: Networks.PUBLIC});
+Network.register("testnet", {passphrase: Networks.TESTNET});
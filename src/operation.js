@@ -13,9 +13,18 @@ import isUndefined from 'lodash/isUndefined';
 import isString from 'lodash/isString';
 import isNumber from 'lodash/isNumber';
 import isFinite from 'lodash/isFinite';
+import isSafeInteger from 'lodash/isSafeInteger';
+import map from 'lodash/map';
+import each from 'lodash/each';
+import has from 'lodash/has';
+import invert from 'lodash/invert';
+import clone from 'lodash/clone';
+import omitBy from 'lodash/omitBy';
 
 const ONE = 10000000;
 const MAX_INT64 = '9223372036854775807';
+const MAX_UINT64 = '18446744073709551615';
+const MAX_PATH_LENGTH = 5;
 
 /**
  * When set using `{@link Operation.setOptions}` option, requires the issuing account to
@@ -42,6 +51,53 @@ export const AuthImmutableFlag = 1 << 2;
 export const BlockIncomingFlag = 1 << 3;
 export const BlockOutgoingFlag = 1 << 4;
 
+/**
+ * Types of accounts created with `{@link Operation.createAccount}`. Operations and ledger
+ * entries are decoded to these names. Raw XDR values (`0` to `2`) are accepted as well.
+ * @constant
+ */
+export const AccountType = {
+  ANONYMOUS_USER: "ANONYMOUS_USER",
+  AGENT: "AGENT",
+  MASTER: "MASTER"
+};
+
+/**
+ * Types of signers added with `{@link Operation.setOptions}`. Operations and ledger
+ * entries are decoded to these names. Raw XDR values (`0` to `3`) are accepted as well.
+ * @constant
+ */
+export const SignerType = {
+  GENERAL: "GENERAL",
+  ADMIN: "ADMIN",
+  EMISSION: "EMISSION",
+  COMMISSION: "COMMISSION"
+};
+
+// `AccountType` and `SignerType` names mapped to the names of `xdr.AccountType` and `xdr.SignerType` members
+const XDR_ACCOUNT_TYPES = {
+  ANONYMOUS_USER: "accountAnonymousUser",
+  AGENT: "accountAgent",
+  MASTER: "accountMaster"
+};
+const XDR_SIGNER_TYPES = {
+  GENERAL: "signerGeneral",
+  ADMIN: "signerAdmin",
+  EMISSION: "signerEmission",
+  COMMISSION: "signerCommission"
+};
+const ACCOUNT_TYPE_NAMES = invert(XDR_ACCOUNT_TYPES);
+const SIGNER_TYPE_NAMES = invert(XDR_SIGNER_TYPES);
+
+// Operation types that can be created with `Operation.fromJSON`
+const OPERATION_TYPES = [
+  "createAccount", "emission", "settlement", "payment", "pathPayment", "manageOffer",
+  "createPassiveOffer", "setOptions", "changeTrust", "allowTrust", "accountMerge",
+  "inflation", "manageData", "setFee", "spendFee", "restrictAccount"
+];
+// Fields of decoded operations holding an `Asset`
+const ASSET_FIELDS = ["asset", "sendAsset", "destAsset", "selling", "buying", "line"];
+
 /**
  * `Operation` class represents [operations](https://www.stellar.org/developers/learn/concepts/operations.html) in Stellar network.
  * Use one of static methods to create operations:
@@ -66,7 +122,7 @@ export class Operation {
    * @param {string} opts.destination - Destination account ID to create an account for.
    * @param {string} opts.startingBalance - Amount in XLM the account should be funded for. Must be greater
    *                                   than the [reserve balance amount](https://www.stellar.org/developers/learn/concepts/fees.html).
-   * @param {string} opts.accountType - Account type to create an account with.
+   * @param {string|number} opts.accountType - Account type to create an account with, one of `{@link AccountType}`.
    * @param {string} [opts.source] - The source account for the payment. Defaults to the transaction's source account.
    * @returns {xdr.CreateAccountOp}
    */
@@ -84,7 +140,7 @@ export class Operation {
     let attributes = {};
     attributes.destination     = Keypair.fromPublicKey(opts.destination).xdrAccountId();
     attributes.startingBalance = this._toXDRAmount(opts.startingBalance);
-    attributes.body = new xdr.CreateAccountOpBody(this._accountTypeFromNumber(opts.accountType));
+    attributes.body = new xdr.CreateAccountOpBody(this._toXDRAccountType(opts.accountType));
 
     let createAccount          = new xdr.CreateAccountOp(attributes);
 
@@ -150,6 +206,7 @@ export class Operation {
    * Create a payment operation.
    * @param {object} opts
    * @param {string} opts.destination - The destination account ID.
+   * @param {Asset} [opts.asset] - The asset to send. Defaults to the native asset.
    * @param {string} opts.amount - The amount to send.
    * @param {string} [opts.source] - The source account for the payment. Defaults to the transaction's source account.
    * @returns {xdr.PaymentOp}
@@ -158,13 +215,18 @@ export class Operation {
     if (!StrKey.isValidEd25519PublicKey(opts.destination)) {
       throw new Error("destination is invalid");
     }
+    if (!isUndefined(opts.asset) && !(opts.asset instanceof Asset)) {
+      throw new Error("asset must be an Asset object");
+    }
     if (!this.isValidAmount(opts.amount)) {
       throw new TypeError(Operation.constructAmountRequirementsError('amount'));
     }
 
+    let asset = opts.asset || Asset.native();
+
     let attributes = {};
     attributes.destination  = Keypair.fromPublicKey(opts.destination).xdrAccountId();
-    attributes.asset        = Asset.native().toXDRObject();
+    attributes.asset        = asset.toXDRObject();
     attributes.amount       = this._toXDRAmount(opts.amount);
     let payment             = new xdr.PaymentOp(attributes);
 
@@ -175,6 +237,122 @@ export class Operation {
     return new xdr.Operation(opAttributes);
   }
 
+  /**
+   * Returns a XDR PathPaymentOp. A `PathPayment` operation sends at most `sendMax` of `sendAsset`
+   * so that the destination account receives exactly `destAmount` of `destAsset`, converting
+   * through the order books of the assets in `path`. The destination account must already exist.
+   * @param {object} opts
+   * @param {Asset} opts.sendAsset - The asset to pay with.
+   * @param {string} opts.sendMax - The maximum amount of sendAsset to send.
+   * @param {string} opts.destination - The destination account to send to.
+   * @param {Asset} opts.destAsset - The asset the destination will receive.
+   * @param {string} opts.destAmount - The amount the destination receives.
+   * @param {Asset[]} [opts.path] - An array of Asset objects to use as the path (at most 5 hops).
+   * @param {string} [opts.source] - The source account for the payment. Defaults to the transaction's source account.
+   * @returns {xdr.PathPaymentOp}
+   */
+  static pathPayment(opts) {
+    if (!(opts.sendAsset instanceof Asset)) {
+      throw new Error("Must specify a send asset");
+    }
+    if (!this.isValidAmount(opts.sendMax)) {
+      throw new TypeError(Operation.constructAmountRequirementsError('sendMax'));
+    }
+    if (!StrKey.isValidEd25519PublicKey(opts.destination)) {
+      throw new Error("destination is invalid");
+    }
+    if (!(opts.destAsset instanceof Asset)) {
+      throw new Error("Must provide a destAsset for a payment operation");
+    }
+    if (!this.isValidAmount(opts.destAmount)) {
+      throw new TypeError(Operation.constructAmountRequirementsError('destAmount'));
+    }
+
+    let path = opts.path ? opts.path : [];
+    if (path.length > MAX_PATH_LENGTH) {
+      throw new Error(`path cannot contain more than ${MAX_PATH_LENGTH} assets`);
+    }
+    for (let i = 0; i < path.length; i++) {
+      if (!(path[i] instanceof Asset)) {
+        throw new Error("path must contain only Asset objects");
+      }
+    }
+
+    let attributes = {};
+    attributes.sendAsset    = opts.sendAsset.toXDRObject();
+    attributes.sendMax      = this._toXDRAmount(opts.sendMax);
+    attributes.destination  = Keypair.fromPublicKey(opts.destination).xdrAccountId();
+    attributes.destAsset    = opts.destAsset.toXDRObject();
+    attributes.destAmount   = this._toXDRAmount(opts.destAmount);
+    attributes.path         = path.map(x => x.toXDRObject());
+    let payment             = new xdr.PathPaymentOp(attributes);
+
+    let opAttributes = {};
+    opAttributes.body = xdr.OperationBody.pathPayment(payment);
+    this.setSourceAccount(opAttributes, opts);
+
+    return new xdr.Operation(opAttributes);
+  }
+
+  /**
+   * Returns a XDR ManageOfferOp. A "manage offer" operation creates, updates, or
+   * deletes an offer.
+   * @param {object} opts
+   * @param {Asset} opts.selling - What you're selling.
+   * @param {Asset} opts.buying - What you're buying.
+   * @param {string} opts.amount - The total amount you're selling. If 0, deletes the offer.
+   * @param {number|string|BigNumber|Object} opts.price - The exchange rate ratio (selling / buying)
+   * @param {number} opts.price.n - If `opts.price` is an object: the price numerator
+   * @param {number} opts.price.d - If `opts.price` is an object: the price denominator
+   * @param {number|string} [opts.offerId ] - If `0`, will create a new offer (default). Otherwise, edits an exisiting offer.
+   * @param {string} [opts.source] - The source account (defaults to transaction source).
+   * @throws {Error} Throws `Error` when the best rational approximation of `price` cannot be found.
+   * @returns {xdr.ManageOfferOp}
+   */
+  static manageOffer(opts) {
+    let attributes = this._offerAttributes(opts, true);
+    let offerId = isUndefined(opts.offerId) ? '0' : opts.offerId;
+    if (!this.isValidOfferId(offerId)) {
+      throw new TypeError(`offerId argument must be a non-negative integer not greater than ${MAX_UINT64}`);
+    }
+    attributes.offerId = UnsignedHyper.fromString(offerId.toString());
+
+    let manageOfferOp = new xdr.ManageOfferOp(attributes);
+
+    let opAttributes = {};
+    opAttributes.body = xdr.OperationBody.manageOffer(manageOfferOp);
+    this.setSourceAccount(opAttributes, opts);
+
+    return new xdr.Operation(opAttributes);
+  }
+
+  /**
+   * Returns a XDR CreatePasiveOfferOp. A "create passive offer" operation creates an
+   * offer that won't consume a counter offer that exactly matches this offer. This is
+   * useful for offers just used as 1:1 exchanges for path payments. Use manage offer
+   * to manage this offer after using this operation to create it.
+   * @param {object} opts
+   * @param {Asset} opts.selling - What you're selling.
+   * @param {Asset} opts.buying - What you're buying.
+   * @param {string} opts.amount - The total amount you're selling.
+   * @param {number|string|BigNumber|Object} opts.price - The exchange rate ratio (selling / buying)
+   * @param {number} opts.price.n - If `opts.price` is an object: the price numerator
+   * @param {number} opts.price.d - If `opts.price` is an object: the price denominator
+   * @param {string} [opts.source] - The source account (defaults to transaction source).
+   * @throws {Error} Throws `Error` when the best rational approximation of `price` cannot be found.
+   * @returns {xdr.CreatePassiveOfferOp}
+   */
+  static createPassiveOffer(opts) {
+    let attributes = this._offerAttributes(opts, false);
+    let createPassiveOfferOp = new xdr.CreatePassiveOfferOp(attributes);
+
+    let opAttributes = {};
+    opAttributes.body = xdr.OperationBody.createPassiveOffer(createPassiveOfferOp);
+    this.setSourceAccount(opAttributes, opts);
+
+    return new xdr.Operation(opAttributes);
+  }
+
   /**
    * Returns an XDR SetOptionsOp. A "set options" operations set or clear account flags,
    * set the account's inflation destination, and/or add new signers to the account.
@@ -198,7 +376,7 @@ export class Operation {
    * @param {Buffer|string} [opts.signer.sha256Hash] - sha256 hash (Buffer or hex string) of preimage that will unlock funds. Preimage should be used as signature of future transaction.
    * @param {Buffer|string} [opts.signer.preAuthTx] - Hash (Buffer or hex string) of transaction that will unlock funds.
    * @param {number|string} [opts.signer.weight] - The weight of the new signer (0 to delete or 1-255)
-   * @param {number} [opts.signer.signerType] - The type of the new signer
+   * @param {string|number} [opts.signer.signerType] - The type of the new signer, one of `{@link SignerType}`
    * @param {string} [opts.homeDomain] - sets the home domain used for reverse federation lookup.
    * @param {string} [opts.source] - The source account (defaults to transaction source).
    * @returns {xdr.SetOptionsOp}
@@ -237,11 +415,11 @@ export class Operation {
     if (opts.signer) {
       let weight = this._checkUnsignedIntValue("signer.weight", opts.signer.weight, weightCheckFunction);
       let key;
-      let signerType = opts.signer.signerType;
       let setValues = 0;
       if (isUndefined(opts.signer.signerType) || !this._isValidSignerType(opts.signer.signerType)) {
         throw new Error("Must provide a valid signerType");
       }
+      let signerType = this._toXDRSignerType(opts.signer.signerType).value;
 
       if (opts.signer.ed25519PublicKey) {
         if (!StrKey.isValidEd25519PublicKey(opts.signer.ed25519PublicKey)) {
@@ -292,6 +470,83 @@ export class Operation {
     return new xdr.Operation(opAttributes);
   }
 
+  /**
+   * Returns an XDR ChangeTrustOp. A "change trust" operation adds, removes, or updates a
+   * trust line for a given asset from the source account to another. The issuer being
+   * trusted and the asset code are in the given Asset object.
+   * @param {object} opts
+   * @param {Asset} opts.asset - The asset for the trust line.
+   * @param {string} [opts.limit] - The limit for the asset, defaults to max int64.
+   *                                If the limit is set to "0" it deletes the trustline.
+   * @param {string} [opts.source] - The source account (defaults to transaction source).
+   * @returns {xdr.ChangeTrustOp}
+   */
+  static changeTrust(opts) {
+    if (!(opts.asset instanceof Asset)) {
+      throw new Error("Must provide an asset for a change trust operation");
+    }
+    if (!isUndefined(opts.limit) && !this.isValidAmount(opts.limit, true)) {
+      throw new TypeError(Operation.constructAmountRequirementsError('limit'));
+    }
+
+    let attributes = {};
+    attributes.line = opts.asset.toXDRObject();
+    if (!isUndefined(opts.limit)) {
+      attributes.limit = this._toXDRAmount(opts.limit);
+    } else {
+      attributes.limit = Hyper.fromString(MAX_INT64);
+    }
+
+    let changeTrustOp = new xdr.ChangeTrustOp(attributes);
+
+    let opAttributes = {};
+    opAttributes.body = xdr.OperationBody.changeTrust(changeTrustOp);
+    this.setSourceAccount(opAttributes, opts);
+
+    return new xdr.Operation(opAttributes);
+  }
+
+  /**
+   * Returns an XDR AllowTrustOp. An "allow trust" operation authorizes another
+   * account to hold your account's credit for a given asset.
+   * @param {object} opts
+   * @param {string} opts.trustor - The trusting account (the one being authorized)
+   * @param {string} opts.assetCode - The asset code being authorized.
+   * @param {boolean} opts.authorize - True to authorize the line, false to deauthorize.
+   * @param {string} [opts.source] - The source account (defaults to transaction source).
+   * @returns {xdr.AllowTrustOp}
+   */
+  static allowTrust(opts) {
+    if (!StrKey.isValidEd25519PublicKey(opts.trustor)) {
+      throw new Error("trustor is invalid");
+    }
+    if (!/^[a-zA-Z0-9]{1,12}$/.test(opts.assetCode)) {
+      throw new Error("Asset code is invalid (maximum alphanumeric, 12 characters at max)");
+    }
+    if (typeof opts.authorize !== "boolean") {
+      throw new TypeError("authorize argument must be of type Boolean");
+    }
+
+    let attributes = {};
+    attributes.trustor = Keypair.fromPublicKey(opts.trustor).xdrAccountId();
+    if (opts.assetCode.length <= 4) {
+      let code = padEnd(opts.assetCode, 4, '\0');
+      attributes.asset = xdr.AllowTrustOpAsset.assetTypeCreditAlphanum4(code);
+    } else {
+      let code = padEnd(opts.assetCode, 12, '\0');
+      attributes.asset = xdr.AllowTrustOpAsset.assetTypeCreditAlphanum12(code);
+    }
+    attributes.authorize = opts.authorize;
+
+    let allowTrustOp = new xdr.AllowTrustOp(attributes);
+
+    let opAttributes = {};
+    opAttributes.body = xdr.OperationBody.allowTrust(allowTrustOp);
+    this.setSourceAccount(opAttributes, opts);
+
+    return new xdr.Operation(opAttributes);
+  }
+
   /**
    * Transfers native balance to destination account.
    * @param {object} opts
@@ -312,6 +567,20 @@ export class Operation {
     return new xdr.Operation(opAttributes);
   }
 
+  /**
+   * This operation generates the inflation.
+   * @param {object} [opts]
+   * @param {string} [opts.source] - The optional source account.
+   * @returns {xdr.InflationOp}
+   */
+  static inflation(opts={}) {
+    let opAttributes = {};
+    opAttributes.body = xdr.OperationBody.inflation();
+    this.setSourceAccount(opAttributes, opts);
+
+    return new xdr.Operation(opAttributes);
+  }
+
   /**
    * This operation adds data entry to the ledger.
    * @param {object} opts
@@ -431,6 +700,36 @@ export class Operation {
     return new xdr.Operation(opAttributes);
   }
 
+  /**
+   * Validates and converts the attributes shared by {@link Operation.manageOffer}
+   * and {@link Operation.createPassiveOffer}.
+   * @private
+   * @param {object} opts
+   * @param {boolean} allowZero Whether a zero amount (offer deletion) is allowed
+   * @returns {object}
+   */
+  static _offerAttributes(opts, allowZero) {
+    if (!(opts.selling instanceof Asset)) {
+      throw new Error("Must provide a selling asset");
+    }
+    if (!(opts.buying instanceof Asset)) {
+      throw new Error("Must provide a buying asset");
+    }
+    if (!this.isValidAmount(opts.amount, allowZero)) {
+      throw new TypeError(Operation.constructAmountRequirementsError('amount'));
+    }
+    if (isUndefined(opts.price)) {
+      throw new TypeError('price argument is required');
+    }
+
+    let attributes = {};
+    attributes.selling = opts.selling.toXDRObject();
+    attributes.buying = opts.buying.toXDRObject();
+    attributes.amount = this._toXDRAmount(opts.amount);
+    attributes.price = this._toXDRPrice(opts.price);
+    return attributes;
+  }
+
   static setSourceAccount(opAttributes, opts) {
     if (opts.source) {
       if (!StrKey.isValidEd25519PublicKey(opts.source)) {
@@ -462,7 +761,7 @@ export class Operation {
       result.type = "createAccount";
       result.destination = accountIdtoAddress(attrs.destination());
       result.startingBalance = this._fromXDRAmount(attrs.startingBalance());
-      result.accountType = attrs.body().switch().value;
+      result.accountType = ACCOUNT_TYPE_NAMES[attrs.body().switch().name];
       break;
       case "emission":
       result.type = "emission";
@@ -479,6 +778,30 @@ export class Operation {
       result.asset = Asset.fromOperation(attrs.asset());
       result.amount = this._fromXDRAmount(attrs.amount());
       break;
+      case "pathPayment":
+      result.type = "pathPayment";
+      result.sendAsset = Asset.fromOperation(attrs.sendAsset());
+      result.sendMax = this._fromXDRAmount(attrs.sendMax());
+      result.destination = accountIdtoAddress(attrs.destination());
+      result.destAsset = Asset.fromOperation(attrs.destAsset());
+      result.destAmount = this._fromXDRAmount(attrs.destAmount());
+      result.path = map(attrs.path(), asset => Asset.fromOperation(asset));
+      break;
+      case "manageOffer":
+      result.type = "manageOffer";
+      result.selling = Asset.fromOperation(attrs.selling());
+      result.buying = Asset.fromOperation(attrs.buying());
+      result.amount = this._fromXDRAmount(attrs.amount());
+      result.price = this._fromXDRPrice(attrs.price());
+      result.offerId = attrs.offerId().toString();
+      break;
+      case "createPassiveOffer":
+      result.type = "createPassiveOffer";
+      result.selling = Asset.fromOperation(attrs.selling());
+      result.buying = Asset.fromOperation(attrs.buying());
+      result.amount = this._fromXDRAmount(attrs.amount());
+      result.price = this._fromXDRPrice(attrs.price());
+      break;
       case "setOption":
       result.type = "setOptions";
       if (attrs.inflationDest()) {
@@ -505,14 +828,28 @@ export class Operation {
         }
 
         signer.weight = attrs.signer().weight();
-        signer.signerType = attrs.signer().signerType();
+        signer.signerType = this._signerTypeName(attrs.signer().signerType());
         result.signer = signer;
       }
       break;
+      case "changeTrust":
+      result.type = "changeTrust";
+      result.line = Asset.fromOperation(attrs.line());
+      result.limit = this._fromXDRAmount(attrs.limit());
+      break;
+      case "allowTrust":
+      result.type = "allowTrust";
+      result.trustor = accountIdtoAddress(attrs.trustor());
+      result.assetCode = trimEnd(attrs.asset().value().toString(), "\0");
+      result.authorize = attrs.authorize();
+      break;
       case "accountMerge":
       result.type = "accountMerge";
       result.destination = accountIdtoAddress(attrs);
       break;
+      case "inflation":
+      result.type = "inflation";
+      break;
       case "manageDatum":
       result.type = "manageData";
       result.name = attrs.dataName();
@@ -540,6 +877,105 @@ export class Operation {
     return result;
   }
 
+
+  /**
+   * Returns the JSON representation of the operation. It contains the fields returned by
+   * {@link Operation.fromXDRObject} with the following values converted:
+   * * assets (including `path`) using {@link Asset#toJSON},
+   * * `price` as `{n, d}` (the exact XDR price when an XDR operation is given),
+   * * `signer.preAuthTx` and `signer.sha256Hash` as hex encoded strings,
+   * * `manageData` `value` as a base64 encoded string (or `null`).
+   *
+   * Amounts, offer IDs and other 64 bit values are strings. Fields that are not set are omitted.
+   * @param {xdr.Operation|object} operation - An XDR Operation or an object returned by {@link Operation.fromXDRObject}.
+   * @returns {object}
+   */
+  static toJSON(operation) {
+    let json = operation instanceof xdr.Operation ? this.fromXDRObject(operation) : clone(operation);
+
+    each(ASSET_FIELDS, field => {
+      if (json[field]) {
+        json[field] = json[field].toJSON();
+      }
+    });
+    if (json.path) {
+      json.path = map(json.path, asset => asset.toJSON());
+    }
+    if (operation instanceof xdr.Operation && json.price) {
+      let price = operation.body().value().price();
+      json.price = {n: price.n(), d: price.d()};
+    }
+    if (json.signer) {
+      json.signer = omitBy(clone(json.signer), isUndefined);
+      each(["preAuthTx", "sha256Hash"], field => {
+        if (Buffer.isBuffer(json.signer[field])) {
+          json.signer[field] = json.signer[field].toString('hex');
+        }
+      });
+    }
+    if (json.type === "manageData") {
+      json.value = json.value ? json.value.toString('base64') : null;
+    }
+
+    return omitBy(json, isUndefined);
+  }
+
+  /**
+   * Creates an XDR Operation from its JSON representation, see {@link Operation.toJSON}.
+   * @param {object} json - JSON representation of the operation.
+   * @returns {xdr.Operation}
+   */
+  static fromJSON(json) {
+    if (OPERATION_TYPES.indexOf(json.type) < 0) {
+      throw new Error(`Unknown operation type: ${json.type}`);
+    }
+
+    let opts = clone(json);
+    delete opts.type;
+    each(ASSET_FIELDS, field => {
+      if (opts[field]) {
+        opts[field] = Asset.fromJSON(opts[field]);
+      }
+    });
+    if (opts.path) {
+      opts.path = map(opts.path, asset => Asset.fromJSON(asset));
+    }
+    if (json.type === "changeTrust") {
+      opts.asset = opts.line;
+      delete opts.line;
+    }
+    if (opts.signer) {
+      opts.signer = clone(opts.signer);
+    }
+    if (json.type === "manageData" && isString(opts.value)) {
+      opts.value = new Buffer(opts.value, 'base64');
+    }
+
+    return this[json.type](opts);
+  }
+
+  /**
+   * Converts the result of an inflation operation to a plain object.
+   * @param {string|xdr.InflationResult} inflationResult - An XDR InflationResult or base64 encoded string.
+   * @returns {{code: string, success: boolean, payouts: Array<{destination: string, amount: string}>}}
+   */
+  static inflationResultFromXDR(inflationResult) {
+    if (isString(inflationResult)) {
+      inflationResult = xdr.InflationResult.fromXDR(new Buffer(inflationResult, "base64"));
+    }
+
+    let result = {};
+    result.code = inflationResult.switch().name;
+    result.success = inflationResult.switch() === xdr.InflationResultCode.inflationSuccess();
+    result.payouts = map(result.success ? inflationResult.payouts() : [], payout => {
+      return {
+        destination: StrKey.encodeEd25519PublicKey(payout.destination().ed25519()),
+        amount: this._fromXDRAmount(payout.amount())
+      };
+    });
+    return result;
+  }
+
   static isValidAmount(value, allowZero = false) {
     if (!isString(value)) {
       return false;
@@ -585,28 +1021,68 @@ export class Operation {
     return true;
   }
 
-  static _accountTypeFromNumber(rawAccountType) {
-    if (!this._isValidAccountType(rawAccountType)) {
-      throw new Error(`XDR Read Error: Unknown AccountType member for value ${rawAccountType}`);
+  static _toXDRAccountType(accountType) {
+    if (!this._isValidAccountType(accountType)) {
+      throw new Error(`Unknown AccountType: ${accountType}`);
     }
 
-    return xdr.AccountType._byValue.get(rawAccountType);
+    return xdrEnumMember(xdr.AccountType, XDR_ACCOUNT_TYPES, accountType);
   }
 
-  static _isValidAccountType(rawAccountType) {
-    return xdr.AccountType._byValue.has(rawAccountType);
+  static _isValidAccountType(accountType) {
+    return !isUndefined(xdrEnumMember(xdr.AccountType, XDR_ACCOUNT_TYPES, accountType));
+  }
+
+  /**
+   * Returns the `{@link AccountType}` name of a raw XDR account type value.
+   * Unknown values are returned as is.
+   * @param {number} value - Raw account type, as stored in `xdr.AccountEntry`.
+   * @returns {string|number}
+   * @private
+   */
+  static _accountTypeName(value) {
+    let member = xdr.AccountType._byValue.get(value);
+    return member ? ACCOUNT_TYPE_NAMES[member.name] : value;
   }
 
-  static _signerTypeFromNumber(rawSignerType) {
-    if (!this._isValidSignerType(rawSignerType)) {
-      throw new Error(`XDR Read Error: Unknown SignerType member for value ${rawSignerType}`);
+  static _toXDRSignerType(signerType) {
+    if (!this._isValidSignerType(signerType)) {
+      throw new Error(`Unknown SignerType: ${signerType}`);
     }
 
-    return xdr.SignerType._byValue.get(rawSignerType);
+    return xdrEnumMember(xdr.SignerType, XDR_SIGNER_TYPES, signerType);
   }
 
-  static _isValidSignerType(rawSignerType) {
-    return xdr.SignerType._byValue.has(rawSignerType);
+  static _isValidSignerType(signerType) {
+    return !isUndefined(xdrEnumMember(xdr.SignerType, XDR_SIGNER_TYPES, signerType));
+  }
+
+  /**
+   * Returns the `{@link SignerType}` name of a raw XDR signer type value.
+   * Unknown values are returned as is.
+   * @param {number} value - Raw signer type, as stored in `xdr.Signer`.
+   * @returns {string|number}
+   * @private
+   */
+  static _signerTypeName(value) {
+    let member = xdr.SignerType._byValue.get(value);
+    return member ? SIGNER_TYPE_NAMES[member.name] : value;
+  }
+
+  /**
+   * Returns true if the value is a valid offer ID: a non-negative integer (number or decimal
+   * string) that fits in uint64.
+   * @param {number|string} value
+   * @returns {boolean}
+   */
+  static isValidOfferId(value) {
+    if (isNumber(value)) {
+      value = isSafeInteger(value) ? value.toString() : null;
+    }
+    if (!isString(value) || !/^[0-9]+$/.test(value)) {
+      return false;
+    }
+    return !new BigNumber(value).greaterThan(MAX_UINT64);
   }
 
   static constructAmountRequirementsError(arg) {
@@ -695,3 +1171,10 @@ export class Operation {
     return xdrObject;
   }
 }
+
+function xdrEnumMember(xdrEnum, xdrNames, value) {
+  if (isString(value)) {
+    return has(xdrNames, value) ? xdrEnum[xdrNames[value]]() : undefined;
+  }
+  return xdrEnum._byValue.get(value);
+}
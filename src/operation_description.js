@@ -0,0 +1,199 @@
+import {AuthRequiredFlag, AuthRevocableFlag, AuthImmutableFlag, BlockIncomingFlag, BlockOutgoingFlag} from "./operation";
+import each from "lodash/each";
+import compact from "lodash/compact";
+import isUndefined from "lodash/isUndefined";
+
+const LOCALES = ["en", "uk"];
+
+// Account flags in the order they are listed, with their names in every locale
+const FLAGS = [
+  [AuthRequiredFlag, "auth required", "обов’язкова авторизація"],
+  [AuthRevocableFlag, "auth revocable", "відклична авторизація"],
+  [AuthImmutableFlag, "auth immutable", "незмінна авторизація"],
+  [BlockIncomingFlag, "block incoming", "блокування вхідних"],
+  [BlockOutgoingFlag, "block outgoing", "блокування вихідних"]
+];
+
+/**
+ * Words and sentences of every locale. Sentences are functions of the operation decoded with
+ * {@link Operation.fromXDRObject} and the words of the locale.
+ * @private
+ */
+const DICTIONARY = {
+  en: {
+    accountTypes: {ANONYMOUS_USER: "anonymous user", AGENT: "agent", MASTER: "master"},
+    signerTypes: {GENERAL: "general", ADMIN: "admin", EMISSION: "emission", COMMISSION: "commission"},
+    asset: asset => asset.isNative() ? asset.getCode() : `${asset.getCode()} (issuer ${asset.getIssuer()})`,
+    signerKey: signer => {
+      if (signer.ed25519PublicKey) {
+        return signer.ed25519PublicKey;
+      }
+      return signer.preAuthTx ? `pre-authorized transaction ${signer.preAuthTx.toString('hex')}` : `hash ${signer.sha256Hash.toString('hex')}`;
+    },
+    source: (source, sentence) => `Account ${source}: ${sentence}`,
+    setFlags: flags => `set flags ${flags}`,
+    clearFlags: flags => `clear flags ${flags}`,
+    operations: {
+      createAccount: (op, w) => `Create account ${op.destination} of type ${w.accountTypes[op.accountType]} with a starting balance of ${op.startingBalance} XLM.`,
+      emission: (op) => `Emit ${op.amount} XLM to ${op.destination}.`,
+      settlement: (op) => `Settle ${op.amount} XLM.`,
+      payment: (op, w) => `Pay ${op.amount} ${w.asset(op.asset)} to ${op.destination}.`,
+      pathPayment: (op, w) => `Send at most ${op.sendMax} ${w.asset(op.sendAsset)} so that ${op.destination} receives ${op.destAmount} ${w.asset(op.destAsset)}.`,
+      manageOffer: (op, w) => {
+        if (op.offerId !== "0" && op.amount === "0") {
+          return `Delete offer ${op.offerId}.`;
+        }
+        let offer = `sell ${op.amount} ${w.asset(op.selling)} for ${w.asset(op.buying)} at a price of ${op.price}`;
+        return op.offerId === "0" ? `Create an offer to ${offer}.` : `Update offer ${op.offerId} to ${offer}.`;
+      },
+      createPassiveOffer: (op, w) => `Create a passive offer to sell ${op.amount} ${w.asset(op.selling)} for ${w.asset(op.buying)} at a price of ${op.price}.`,
+      setOptions: (op, w) => {
+        let changes = compact([
+          op.inflationDest && `set inflation destination to ${op.inflationDest}`,
+          op.setFlags && w.setFlags(flagNames(op.setFlags, "en")),
+          op.clearFlags && w.clearFlags(flagNames(op.clearFlags, "en")),
+          !isUndefined(op.masterWeight) && `set master key weight to ${op.masterWeight}`,
+          !isUndefined(op.lowThreshold) && `set low threshold to ${op.lowThreshold}`,
+          !isUndefined(op.medThreshold) && `set medium threshold to ${op.medThreshold}`,
+          !isUndefined(op.highThreshold) && `set high threshold to ${op.highThreshold}`,
+          !isUndefined(op.homeDomain) && `set home domain to "${op.homeDomain}"`,
+          op.signer && (op.signer.weight === 0 ?
+            `remove signer ${w.signerKey(op.signer)}` :
+            `add ${w.signerTypes[op.signer.signerType]} signer ${w.signerKey(op.signer)} with weight ${op.signer.weight}`)
+        ]);
+        return changes.length > 0 ? `Set options: ${changes.join("; ")}.` : "Set options without changes.";
+      },
+      changeTrust: (op, w) => op.limit === "0" ? `Remove the trust line to ${w.asset(op.line)}.` : `Trust ${w.asset(op.line)} up to ${op.limit}.`,
+      allowTrust: (op) => op.authorize ? `Authorize ${op.trustor} to hold ${op.assetCode}.` : `Revoke the authorization of ${op.trustor} to hold ${op.assetCode}.`,
+      accountMerge: (op) => `Merge the account into ${op.destination}.`,
+      inflation: () => "Run inflation.",
+      manageData: (op) => {
+        if (!op.value) {
+          return `Delete data entry "${op.name}".`;
+        }
+        let text = printableText(op.value);
+        return text === null ? `Set data entry "${op.name}" to hex value ${op.value.toString('hex')}.` : `Set data entry "${op.name}" to "${text}".`;
+      },
+      setFee: (op) => `Set the base fee to ${op.baseFee} stroops.`,
+      spendFee: (op) => `Transfer ${op.amount} XLM of collected fees to ${op.destination}.`,
+      restrictAccount: (op, w) => {
+        let changes = compact([
+          op.setFlags && w.setFlags(flagNames(op.setFlags, "en")),
+          op.clearFlags && w.clearFlags(flagNames(op.clearFlags, "en"))
+        ]);
+        return changes.length > 0 ? `Restrict account ${op.account}: ${changes.join("; ")}.` : `Restrict account ${op.account} without changes.`;
+      }
+    }
+  },
+  uk: {
+    accountTypes: {ANONYMOUS_USER: "анонімний користувач", AGENT: "агент", MASTER: "головний"},
+    signerTypes: {GENERAL: "загальний", ADMIN: "адміністратор", EMISSION: "емісія", COMMISSION: "комісія"},
+    asset: asset => asset.isNative() ? asset.getCode() : `${asset.getCode()} (емітент ${asset.getIssuer()})`,
+    signerKey: signer => {
+      if (signer.ed25519PublicKey) {
+        return signer.ed25519PublicKey;
+      }
+      return signer.preAuthTx ? `попередньо авторизована транзакція ${signer.preAuthTx.toString('hex')}` : `геш ${signer.sha256Hash.toString('hex')}`;
+    },
+    source: (source, sentence) => `Рахунок ${source}: ${sentence}`,
+    setFlags: flags => `встановити прапорці ${flags}`,
+    clearFlags: flags => `зняти прапорці ${flags}`,
+    operations: {
+      createAccount: (op, w) => `Створити рахунок ${op.destination} типу «${w.accountTypes[op.accountType]}» з початковим балансом ${op.startingBalance} XLM.`,
+      emission: (op) => `Емітувати ${op.amount} XLM на рахунок ${op.destination}.`,
+      settlement: (op) => `Погасити ${op.amount} XLM.`,
+      payment: (op, w) => `Переказати ${op.amount} ${w.asset(op.asset)} на рахунок ${op.destination}.`,
+      pathPayment: (op, w) => `Надіслати не більше ${op.sendMax} ${w.asset(op.sendAsset)}, щоб рахунок ${op.destination} отримав ${op.destAmount} ${w.asset(op.destAsset)}.`,
+      manageOffer: (op, w) => {
+        if (op.offerId !== "0" && op.amount === "0") {
+          return `Видалити пропозицію ${op.offerId}.`;
+        }
+        let offer = `продати ${op.amount} ${w.asset(op.selling)} за ${w.asset(op.buying)} за ціною ${op.price}`;
+        return op.offerId === "0" ? `Створити пропозицію ${offer}.` : `Змінити пропозицію ${op.offerId}: ${offer}.`;
+      },
+      createPassiveOffer: (op, w) => `Створити пасивну пропозицію продати ${op.amount} ${w.asset(op.selling)} за ${w.asset(op.buying)} за ціною ${op.price}.`,
+      setOptions: (op, w) => {
+        let changes = compact([
+          op.inflationDest && `встановити рахунок інфляції ${op.inflationDest}`,
+          op.setFlags && w.setFlags(flagNames(op.setFlags, "uk")),
+          op.clearFlags && w.clearFlags(flagNames(op.clearFlags, "uk")),
+          !isUndefined(op.masterWeight) && `встановити вагу головного ключа ${op.masterWeight}`,
+          !isUndefined(op.lowThreshold) && `встановити низький поріг ${op.lowThreshold}`,
+          !isUndefined(op.medThreshold) && `встановити середній поріг ${op.medThreshold}`,
+          !isUndefined(op.highThreshold) && `встановити високий поріг ${op.highThreshold}`,
+          !isUndefined(op.homeDomain) && `встановити домашній домен «${op.homeDomain}»`,
+          op.signer && (op.signer.weight === 0 ?
+            `видалити підписанта ${w.signerKey(op.signer)}` :
+            `додати підписанта ${w.signerKey(op.signer)} типу «${w.signerTypes[op.signer.signerType]}» з вагою ${op.signer.weight}`)
+        ]);
+        return changes.length > 0 ? `Змінити налаштування: ${changes.join("; ")}.` : "Змінити налаштування без змін.";
+      },
+      changeTrust: (op, w) => op.limit === "0" ? `Видалити лінію довіри до ${w.asset(op.line)}.` : `Довіряти ${w.asset(op.line)} з лімітом ${op.limit}.`,
+      allowTrust: (op) => op.authorize ? `Дозволити рахунку ${op.trustor} тримати ${op.assetCode}.` : `Заборонити рахунку ${op.trustor} тримати ${op.assetCode}.`,
+      accountMerge: (op) => `Об’єднати рахунок з рахунком ${op.destination}.`,
+      inflation: () => "Запустити інфляцію.",
+      manageData: (op) => {
+        if (!op.value) {
+          return `Видалити поле даних «${op.name}».`;
+        }
+        let text = printableText(op.value);
+        return text === null ? `Записати в поле даних «${op.name}» шістнадцяткове значення ${op.value.toString('hex')}.` : `Записати в поле даних «${op.name}» значення «${text}».`;
+      },
+      setFee: (op) => `Встановити базову комісію (у струпах): ${op.baseFee}.`,
+      spendFee: (op) => `Переказати ${op.amount} XLM зібраних комісій на рахунок ${op.destination}.`,
+      restrictAccount: (op, w) => {
+        let changes = compact([
+          op.setFlags && w.setFlags(flagNames(op.setFlags, "uk")),
+          op.clearFlags && w.clearFlags(flagNames(op.clearFlags, "uk"))
+        ]);
+        return changes.length > 0 ? `Обмежити рахунок ${op.account}: ${changes.join("; ")}.` : `Обмежити рахунок ${op.account} без змін.`;
+      }
+    }
+  }
+};
+
+/**
+ * Describes the operation with a sentence in the given locale.
+ * @param {object} operation - Operation decoded with {@link Operation.fromXDRObject}.
+ * @param {string} [locale] - `en` (default) or `uk`.
+ * @returns {string}
+ * @private
+ */
+export function describeOperation(operation, locale = "en") {
+  if (LOCALES.indexOf(locale) === -1) {
+    throw new Error(`Unsupported locale: ${locale}`);
+  }
+  let words = DICTIONARY[locale];
+  let sentence = words.operations[operation.type];
+  if (!sentence) {
+    throw new Error(`Unknown operation type: ${operation.type}`);
+  }
+
+  let result = sentence(operation, words);
+  return operation.source ? words.source(operation.source, result) : result;
+}
+
+function flagNames(flags, locale) {
+  let index = LOCALES.indexOf(locale) + 1;
+  let names = [];
+  let unknown = flags;
+  each(FLAGS, flag => {
+    if (flags & flag[0]) {
+      names.push(flag[index]);
+      unknown &= ~flag[0];
+    }
+  });
+  if (unknown) {
+    names.push(String(unknown));
+  }
+  return names.join(", ");
+}
+
+// Returns the value as text if it is valid UTF-8 without control characters, null otherwise
+function printableText(value) {
+  let text = value.toString('utf8');
+  if (!new Buffer(text, 'utf8').equals(value) || /[\u0000-\u001f\u007f-\u009f]/.test(text)) {
+    return null;
+  }
+  return text;
+}
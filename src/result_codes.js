@@ -0,0 +1,270 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import each from "lodash/each";
+import isNumber from "lodash/isNumber";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+const RETRYABLE = true;
+const PERMANENT = false;
+
+/**
+ * Result code catalog. Keys are the constant names used in `xdr/Stellar-transaction.x`,
+ * values are `[enum value, retryable, English message, Ukrainian message]`.
+ * @private
+ */
+const CATALOG = {
+  TransactionResultCode: {
+    txSUCCESS:              [0, PERMANENT, "All operations succeeded.", "Усі операції виконано успішно."],
+    txFAILED:               [-1, PERMANENT, "One of the operations failed, none were applied.", "Одна з операцій не виконалася, жодну не застосовано."],
+    txTOO_EARLY:            [-2, RETRYABLE, "The transaction is not valid yet.", "Транзакція ще не дійсна."],
+    txTOO_LATE:             [-3, RETRYABLE, "The transaction has expired.", "Термін дії транзакції минув."],
+    txMISSING_OPERATION:    [-4, PERMANENT, "The transaction has no operations.", "Транзакція не містить операцій."],
+    txBAD_SEQ:              [-5, RETRYABLE, "The sequence number does not match the source account.", "Порядковий номер не відповідає рахунку відправника."],
+    txBAD_AUTH:             [-6, PERMANENT, "Too few valid signatures or wrong network.", "Недостатньо дійсних підписів або неправильна мережа."],
+    txINSUFFICIENT_BALANCE: [-7, PERMANENT, "The fee would bring the account below the reserve.", "Комісія зменшить баланс рахунку нижче резерву."],
+    txNO_ACCOUNT:           [-8, PERMANENT, "The source account was not found.", "Рахунок відправника не знайдено."],
+    txINSUFFICIENT_FEE:     [-9, RETRYABLE, "The fee is too small.", "Комісія замала."],
+    txBAD_AUTH_EXTRA:       [-10, PERMANENT, "Unused signatures are attached to the transaction.", "До транзакції додано зайві підписи."],
+    txACCOUNT_BLOCKED_OUT:  [-11, PERMANENT, "The source account is blocked from outgoing actions.", "Рахунок відправника заблоковано для вихідних операцій."],
+    txINTERNAL_ERROR:       [-12, RETRYABLE, "An unknown error occurred.", "Сталася невідома помилка."]
+  },
+  OperationResultCode: {
+    opINNER:                [0, PERMANENT, "The operation was applied.", "Операцію застосовано."],
+    opBAD_AUTH:             [-1, PERMANENT, "Too few valid signatures or wrong network.", "Недостатньо дійсних підписів або неправильна мережа."],
+    opNO_ACCOUNT:           [-2, PERMANENT, "The source account was not found.", "Рахунок відправника не знайдено."],
+    opACCOUNT_BLOCKED_OUT:  [-3, PERMANENT, "The source account is blocked from outgoing actions.", "Рахунок відправника заблоковано для вихідних операцій."]
+  },
+  CreateAccountResultCode: {
+    CREATE_ACCOUNT_SUCCESS:             [0, PERMANENT, "The account was created.", "Рахунок створено."],
+    CREATE_ACCOUNT_MALFORMED:           [-1, PERMANENT, "The destination is invalid.", "Некоректний отримувач."],
+    CREATE_ACCOUNT_UNDERFUNDED:         [-2, PERMANENT, "Not enough funds in the source account.", "Недостатньо коштів на рахунку відправника."],
+    CREATE_ACCOUNT_LOW_RESERVE:         [-3, PERMANENT, "The starting balance is below the minimum reserve.", "Початковий баланс менший за мінімальний резерв."],
+    CREATE_ACCOUNT_ALREADY_EXIST:       [-4, PERMANENT, "The account already exists.", "Рахунок уже існує."],
+    CREATE_ACCOUNT_NOT_AUTHORIZED_TYPE: [-5, PERMANENT, "The source account may not create accounts of this type.", "Рахунок відправника не може створювати рахунки цього типу."],
+    CREATE_ACCOUNT_WRONG_TYPE:          [-6, PERMANENT, "The account type is invalid.", "Некоректний тип рахунку."]
+  },
+  EmissionResultCode: {
+    EMISSION_SUCCESS:               [0, PERMANENT, "The emission was completed.", "Емісію виконано."],
+    EMISSION_MALFORMED:             [-1, PERMANENT, "The emission is malformed.", "Некоректні параметри емісії."],
+    EMISSION_SRC_NOT_AUTHORIZED:    [-2, PERMANENT, "The source account is not authorized to create an emission.", "Рахунок відправника не має права на емісію."],
+    EMISSION_DEST_FULL:             [-3, PERMANENT, "The destination would go above its limit.", "Баланс отримувача перевищить ліміт."],
+    EMISSION_TOTAL_EMISSION_FULL:   [-4, PERMANENT, "The total emission would overflow.", "Загальний обсяг емісії буде перевищено."],
+    EMISSION_DEST_BLOCKED:          [-5, PERMANENT, "The destination is blocked from receiving.", "Рахунок отримувача заблоковано для вхідних операцій."]
+  },
+  SettlementResultCode: {
+    SETTLEMENT_SUCCESS:             [0, PERMANENT, "The settlement was completed.", "Погашення виконано."],
+    SETTLEMENT_MALFORMED:           [-1, PERMANENT, "The settlement is malformed.", "Некоректні параметри погашення."],
+    SETTLEMENT_SRC_NOT_AUTHORIZED:  [-2, PERMANENT, "The source account is not authorized to create a settlement.", "Рахунок відправника не має права на погашення."],
+    SETTLEMENT_UNDERFUNDED:         [-3, PERMANENT, "Not enough funds in the source account.", "Недостатньо коштів на рахунку відправника."]
+  },
+  PaymentResultCode: {
+    PAYMENT_SUCCESS:            [0, PERMANENT, "The payment was completed.", "Платіж виконано."],
+    PAYMENT_MALFORMED:          [-1, PERMANENT, "The payment is malformed.", "Некоректні параметри платежу."],
+    PAYMENT_UNDERFUNDED:        [-2, PERMANENT, "Not enough funds in the source account.", "Недостатньо коштів на рахунку відправника."],
+    PAYMENT_SRC_NO_TRUST:       [-3, PERMANENT, "The source account has no trust line for the asset.", "Рахунок відправника не має лінії довіри до активу."],
+    PAYMENT_SRC_NOT_AUTHORIZED: [-4, PERMANENT, "The source account is not authorized to transfer the asset.", "Рахунок відправника не має права переказувати актив."],
+    PAYMENT_NO_DESTINATION:     [-5, PERMANENT, "The destination account does not exist.", "Рахунок отримувача не існує."],
+    PAYMENT_NO_TRUST:           [-6, PERMANENT, "The destination has no trust line for the asset.", "Рахунок отримувача не має лінії довіри до активу."],
+    PAYMENT_NOT_AUTHORIZED:     [-7, PERMANENT, "The destination is not authorized to hold the asset.", "Рахунок отримувача не має права тримати актив."],
+    PAYMENT_LINE_FULL:          [-8, PERMANENT, "The destination would go above its limit.", "Баланс отримувача перевищить ліміт."],
+    PAYMENT_NO_ISSUER:          [-9, PERMANENT, "The asset issuer does not exist.", "Емітента активу не існує."],
+    PAYMENT_DEST_BLOCKED:       [-10, PERMANENT, "The destination is blocked from receiving.", "Рахунок отримувача заблоковано для вхідних операцій."]
+  },
+  PathPaymentResultCode: {
+    PATH_PAYMENT_SUCCESS:             [0, PERMANENT, "The path payment was completed.", "Платіж через шлях виконано."],
+    PATH_PAYMENT_MALFORMED:           [-1, PERMANENT, "The path payment is malformed.", "Некоректні параметри платежу через шлях."],
+    PATH_PAYMENT_UNDERFUNDED:         [-2, PERMANENT, "Not enough funds in the source account.", "Недостатньо коштів на рахунку відправника."],
+    PATH_PAYMENT_SRC_NO_TRUST:        [-3, PERMANENT, "The source account has no trust line for the asset.", "Рахунок відправника не має лінії довіри до активу."],
+    PATH_PAYMENT_SRC_NOT_AUTHORIZED:  [-4, PERMANENT, "The source account is not authorized to transfer the asset.", "Рахунок відправника не має права переказувати актив."],
+    PATH_PAYMENT_NO_DESTINATION:      [-5, PERMANENT, "The destination account does not exist.", "Рахунок отримувача не існує."],
+    PATH_PAYMENT_NO_TRUST:            [-6, PERMANENT, "The destination has no trust line for the asset.", "Рахунок отримувача не має лінії довіри до активу."],
+    PATH_PAYMENT_NOT_AUTHORIZED:      [-7, PERMANENT, "The destination is not authorized to hold the asset.", "Рахунок отримувача не має права тримати актив."],
+    PATH_PAYMENT_LINE_FULL:           [-8, PERMANENT, "The destination would go above its limit.", "Баланс отримувача перевищить ліміт."],
+    PATH_PAYMENT_NO_ISSUER:           [-9, PERMANENT, "The issuer of one of the assets does not exist.", "Емітента одного з активів не існує."],
+    PATH_PAYMENT_TOO_FEW_OFFERS:      [-10, RETRYABLE, "Not enough offers to satisfy the path.", "Недостатньо пропозицій для проходження шляху."],
+    PATH_PAYMENT_OFFER_CROSS_SELF:    [-11, PERMANENT, "The payment would cross one of your own offers.", "Платіж перетнеться з вашою власною пропозицією."],
+    PATH_PAYMENT_OVER_SENDMAX:        [-12, RETRYABLE, "The payment would cost more than the maximum send amount.", "Платіж коштуватиме більше за максимальну суму відправлення."],
+    PATH_PAYMENT_DEST_BLOCKED:        [-13, PERMANENT, "The destination is blocked from receiving.", "Рахунок отримувача заблоковано для вхідних операцій."]
+  },
+  ManageOfferResultCode: {
+    MANAGE_OFFER_SUCCESS:             [0, PERMANENT, "The offer was updated.", "Пропозицію оновлено."],
+    MANAGE_OFFER_MALFORMED:           [-1, PERMANENT, "The offer is malformed.", "Некоректні параметри пропозиції."],
+    MANAGE_OFFER_SELL_NO_TRUST:       [-2, PERMANENT, "No trust line for the selling asset.", "Немає лінії довіри до активу, що продається."],
+    MANAGE_OFFER_BUY_NO_TRUST:        [-3, PERMANENT, "No trust line for the buying asset.", "Немає лінії довіри до активу, що купується."],
+    MANAGE_OFFER_SELL_NOT_AUTHORIZED: [-4, PERMANENT, "Not authorized to sell the asset.", "Немає права продавати актив."],
+    MANAGE_OFFER_BUY_NOT_AUTHORIZED:  [-5, PERMANENT, "Not authorized to buy the asset.", "Немає права купувати актив."],
+    MANAGE_OFFER_LINE_FULL:           [-6, PERMANENT, "Cannot receive more of the buying asset.", "Неможливо отримати більше активу, що купується."],
+    MANAGE_OFFER_UNDERFUNDED:         [-7, PERMANENT, "Not enough of the selling asset.", "Недостатньо активу, що продається."],
+    MANAGE_OFFER_CROSS_SELF:          [-8, PERMANENT, "The offer would cross one of your own offers.", "Пропозиція перетнеться з вашою власною пропозицією."],
+    MANAGE_OFFER_SELL_NO_ISSUER:      [-9, PERMANENT, "The issuer of the selling asset does not exist.", "Емітента активу, що продається, не існує."],
+    MANAGE_OFFER_BUY_NO_ISSUER:       [-10, PERMANENT, "The issuer of the buying asset does not exist.", "Емітента активу, що купується, не існує."],
+    MANAGE_OFFER_NOT_FOUND:           [-11, PERMANENT, "The offer was not found.", "Пропозицію не знайдено."],
+    MANAGE_OFFER_LOW_RESERVE:         [-12, PERMANENT, "Not enough funds to create a new offer.", "Недостатньо коштів для створення нової пропозиції."]
+  },
+  SetOptionsResultCode: {
+    SET_OPTIONS_SUCCESS:                [0, PERMANENT, "The account options were updated.", "Параметри рахунку оновлено."],
+    SET_OPTIONS_LOW_RESERVE:            [-1, PERMANENT, "Not enough funds to add a signer.", "Недостатньо коштів для додавання підписанта."],
+    SET_OPTIONS_TOO_MANY_SIGNERS:       [-2, PERMANENT, "The maximum number of signers has been reached.", "Досягнуто максимальної кількості підписантів."],
+    SET_OPTIONS_BAD_FLAGS:              [-3, PERMANENT, "Invalid combination of set and clear flags.", "Некоректне поєднання прапорців для встановлення та зняття."],
+    SET_OPTIONS_INVALID_INFLATION:      [-4, PERMANENT, "The inflation destination does not exist.", "Рахунок для інфляції не існує."],
+    SET_OPTIONS_CANT_CHANGE:            [-5, PERMANENT, "This option can no longer be changed.", "Цей параметр більше не можна змінити."],
+    SET_OPTIONS_UNKNOWN_FLAG:           [-6, PERMANENT, "Cannot set an unknown flag.", "Неможливо встановити невідомий прапорець."],
+    SET_OPTIONS_THRESHOLD_OUT_OF_RANGE: [-7, PERMANENT, "A weight or threshold is out of range.", "Вага або поріг поза допустимими межами."],
+    SET_OPTIONS_BAD_SIGNER:             [-8, PERMANENT, "The signer cannot be the master key.", "Підписант не може бути головним ключем."],
+    SET_OPTIONS_INVALID_HOME_DOMAIN:    [-9, PERMANENT, "The home domain is malformed.", "Некоректний домашній домен."],
+    SET_OPTIONS_BAD_SIGNER_TYPE:        [-10, PERMANENT, "Only the master account can add emission or admin signers.", "Лише головний рахунок може додавати підписантів емісії або адміністраторів."]
+  },
+  ChangeTrustResultCode: {
+    CHANGE_TRUST_SUCCESS:           [0, PERMANENT, "The trust line was updated.", "Лінію довіри оновлено."],
+    CHANGE_TRUST_MALFORMED:         [-1, PERMANENT, "The trust line is malformed.", "Некоректні параметри лінії довіри."],
+    CHANGE_TRUST_NO_ISSUER:         [-2, PERMANENT, "The asset issuer does not exist.", "Емітента активу не існує."],
+    CHANGE_TRUST_INVALID_LIMIT:     [-3, PERMANENT, "The limit cannot be below the current balance.", "Ліміт не може бути меншим за поточний баланс."],
+    CHANGE_TRUST_LOW_RESERVE:       [-4, PERMANENT, "Not enough funds to create a new trust line.", "Недостатньо коштів для створення нової лінії довіри."],
+    CHANGE_TRUST_SELF_NOT_ALLOWED:  [-5, PERMANENT, "An account cannot trust itself.", "Рахунок не може довіряти сам собі."]
+  },
+  AllowTrustResultCode: {
+    ALLOW_TRUST_SUCCESS:            [0, PERMANENT, "The trust line authorization was updated.", "Авторизацію лінії довіри оновлено."],
+    ALLOW_TRUST_MALFORMED:          [-1, PERMANENT, "The asset is not a credit asset.", "Актив не є кредитним активом."],
+    ALLOW_TRUST_NO_TRUST_LINE:      [-2, PERMANENT, "The trustor has no trust line.", "Довіритель не має лінії довіри."],
+    ALLOW_TRUST_TRUST_NOT_REQUIRED: [-3, PERMANENT, "The source account does not require trust.", "Рахунок відправника не вимагає довіри."],
+    ALLOW_TRUST_CANT_REVOKE:        [-4, PERMANENT, "The source account cannot revoke trust.", "Рахунок відправника не може відкликати довіру."],
+    ALLOW_TRUST_SELF_NOT_ALLOWED:   [-5, PERMANENT, "An account cannot trust itself.", "Рахунок не може довіряти сам собі."]
+  },
+  AccountMergeResultCode: {
+    ACCOUNT_MERGE_SUCCESS:          [0, PERMANENT, "The account was merged.", "Рахунок об'єднано."],
+    ACCOUNT_MERGE_MALFORMED:        [-1, PERMANENT, "An account cannot be merged into itself.", "Рахунок не можна об'єднати сам із собою."],
+    ACCOUNT_MERGE_NO_ACCOUNT:       [-2, PERMANENT, "The destination account does not exist.", "Рахунок отримувача не існує."],
+    ACCOUNT_MERGE_IMMUTABLE_SET:    [-3, PERMANENT, "The source account has the immutable flag set.", "Рахунок відправника має прапорець незмінності."],
+    ACCOUNT_MERGE_HAS_SUB_ENTRIES:  [-4, PERMANENT, "The account still has trust lines or offers.", "Рахунок ще має лінії довіри або пропозиції."],
+    ACCOUNT_MERGE_DEST_BLOCKED:     [-5, PERMANENT, "The destination is blocked from receiving.", "Рахунок отримувача заблоковано для вхідних операцій."]
+  },
+  InflationResultCode: {
+    INFLATION_SUCCESS:  [0, PERMANENT, "Inflation was run.", "Інфляцію виконано."],
+    INFLATION_NOT_TIME: [-1, RETRYABLE, "It is not time to run inflation yet.", "Ще не час запускати інфляцію."]
+  },
+  ManageDataResultCode: {
+    MANAGE_DATA_SUCCESS:            [0, PERMANENT, "The data entry was updated.", "Запис даних оновлено."],
+    MANAGE_DATA_NOT_SUPPORTED_YET:  [-1, PERMANENT, "The network does not support data entries yet.", "Мережа ще не підтримує записи даних."],
+    MANAGE_DATA_NAME_NOT_FOUND:     [-2, PERMANENT, "The data entry does not exist.", "Запис даних не існує."],
+    MANAGE_DATA_LOW_RESERVE:        [-3, PERMANENT, "Not enough funds to create a new data entry.", "Недостатньо коштів для створення нового запису даних."],
+    MANAGE_DATA_INVALID_NAME:       [-4, PERMANENT, "The data entry name is invalid.", "Некоректна назва запису даних."]
+  },
+  SpendFeeResultCode: {
+    SPEND_FEE_SUCCESS:                [0, PERMANENT, "The fee pool payment was completed.", "Виплату з фонду комісій виконано."],
+    SPEND_FEE_MALFORMED:              [-1, PERMANENT, "The fee pool payment is malformed.", "Некоректні параметри виплати з фонду комісій."],
+    SPEND_FEE_UNDERFUNDED:            [-2, RETRYABLE, "Not enough funds in the fee pool.", "Недостатньо коштів у фонді комісій."],
+    SPEND_FEE_SRC_NOT_AUTHORIZED:     [-3, PERMANENT, "The source account is not authorized to spend fees.", "Рахунок відправника не має права витрачати комісії."],
+    SPEND_FEE_NO_DESTINATION:         [-4, PERMANENT, "The destination account does not exist.", "Рахунок отримувача не існує."],
+    SPEND_FEE_SIGNER_NOT_AUTHORIZED:  [-5, PERMANENT, "The signer is not authorized to sign this operation.", "Підписант не має права підписувати цю операцію."],
+    SPEND_FEE_DEST_BLOCKED:           [-6, PERMANENT, "The destination is blocked from receiving.", "Рахунок отримувача заблоковано для вхідних операцій."]
+  },
+  SetFeeResultCode: {
+    SET_FEE_SUCCESS:                [0, PERMANENT, "The base fee was set.", "Базову комісію встановлено."],
+    SET_FEE_MALFORMED:              [-1, PERMANENT, "The base fee is invalid.", "Некоректна базова комісія."],
+    SET_FEE_SRC_NOT_AUTHORIZED:     [-2, PERMANENT, "The source account is not authorized to set the fee.", "Рахунок відправника не має права встановлювати комісію."],
+    SET_FEE_SIGNER_NOT_AUTHORIZED:  [-3, PERMANENT, "The signer is not authorized to sign this operation.", "Підписант не має права підписувати цю операцію."]
+  },
+  RestrictAccountResultCode: {
+    RESTRICT_ACCOUNT_SUCCESS:               [0, PERMANENT, "The account restrictions were updated.", "Обмеження рахунку оновлено."],
+    RESTRICT_ACCOUNT_MALFORMED:             [-1, PERMANENT, "The restriction is malformed.", "Некоректні параметри обмеження."],
+    RESTRICT_ACCOUNT_SRC_NOT_AUTHORIZED:    [-2, PERMANENT, "The source account is not authorized to restrict accounts.", "Рахунок відправника не має права обмежувати рахунки."],
+    RESTRICT_ACCOUNT_SIGNER_NOT_AUTHORIZED: [-3, PERMANENT, "The signer is not authorized to sign this operation.", "Підписант не має права підписувати цю операцію."],
+    RESTRICT_ACCOUNT_BAD_FLAGS:             [-4, PERMANENT, "Invalid combination of set and clear flags.", "Некоректне поєднання прапорців для встановлення та зняття."],
+    RESTRICT_ACCOUNT_UNKNOWN_FLAG:          [-5, PERMANENT, "Cannot set an unknown flag.", "Неможливо встановити невідомий прапорець."],
+    RESTRICT_ACCOUNT_NO_DESTINATION:        [-6, PERMANENT, "The account to restrict does not exist.", "Рахунок, який потрібно обмежити, не існує."]
+  }
+};
+
+const LOCALES = ["en", "uk"];
+
+let byKey  = {};
+let byName = {};
+
+each(CATALOG, (codes, type) => {
+  each(codes, ([value, retryable, en, uk], key) => {
+    let member = xdr[type]._byValue.get(value);
+    let entry = {
+      key,
+      type,
+      name: member.name,
+      value,
+      success: value === 0,
+      retryable,
+      messages: {en, uk}
+    };
+    byKey[key] = entry;
+    byName[member.name] = entry;
+  });
+});
+
+/**
+ * ResultCodes is a helper class that maps result codes of transactions and operations
+ * to a stable string key, a human-readable message and a retry classification.
+ *
+ * Keys are the constant names from `Stellar-transaction.x`, ex. `txBAD_SEQ`,
+ * `opACCOUNT_BLOCKED_OUT` or `SPEND_FEE_DEST_BLOCKED`.
+ *
+ * A code is retryable when the same request may succeed later without being changed by
+ * the user: timing, sequence number, fee, market or fee pool conditions. Other failures are
+ * permanent. Success codes are never retryable.
+ */
+export class ResultCodes {
+  /**
+   * Returns the catalog entry of a result code.
+   * @param {string|number|xdr.Enum} code - Key (`SPEND_FEE_DEST_BLOCKED`), XDR member name (`spendFeeDestBlocked`),
+   *                                        XDR enum value, or integer value when `type` is given.
+   * @param {string} [type] - XDR enum name (ex. `SpendFeeResultCode`), required for integer values.
+   * @returns {{key: string, type: string, name: string, value: number, success: boolean, retryable: boolean, messages: {en: string, uk: string}}}
+   */
+  static get(code, type) {
+    let entry;
+    if (isNumber(code)) {
+      if (isUndefined(type) || !CATALOG[type]) {
+        throw new Error("A valid result code type is required for integer codes");
+      }
+      let member = xdr[type]._byValue.get(code);
+      entry = member && byName[member.name];
+    } else if (isString(code)) {
+      entry = byKey[code] || byName[code];
+    } else if (code && isString(code.name)) {
+      entry = byName[code.name];
+    }
+
+    if (!entry) {
+      throw new Error(`Unknown result code: ${code}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Returns a human-readable message of a result code.
+   * @param {string|number|xdr.Enum} code - See {@link ResultCodes.get}.
+   * @param {string} [locale] - `en` (default) or `uk`.
+   * @param {string} [type] - See {@link ResultCodes.get}.
+   * @returns {string}
+   */
+  static message(code, locale = "en", type = undefined) {
+    if (LOCALES.indexOf(locale) === -1) {
+      throw new Error(`Unsupported locale: ${locale}`);
+    }
+    return this.get(code, type).messages[locale];
+  }
+
+  /**
+   * Returns true if the request that produced the result code may succeed when retried.
+   * @param {string|number|xdr.Enum} code - See {@link ResultCodes.get}.
+   * @param {string} [type] - See {@link ResultCodes.get}.
+   * @returns {boolean}
+   */
+  static isRetryable(code, type = undefined) {
+    return this.get(code, type).retryable;
+  }
+
+  /**
+   * Returns all result code types (XDR enum names) known to the catalog.
+   * @returns {string[]}
+   */
+  static types() {
+    return Object.keys(CATALOG);
+  }
+}
@@ -0,0 +1,198 @@
+import {Transaction} from "./transaction";
+import BigNumber from 'bignumber.js';
+import map from "lodash/map";
+import each from "lodash/each";
+import filter from "lodash/filter";
+import findIndex from "lodash/findIndex";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+export class SequenceManager {
+  /**
+   * `SequenceManager` keeps track of sequence numbers used by transactions of an {@link Account}.
+   *
+   * Sequence numbers are taken with {@link SequenceManager#reserve} or by building a transaction
+   * with {@link SequenceManager#build}. Unused sequence numbers can be rolled back with
+   * {@link SequenceManager#rollback}: when the last sequence number is rolled back the sequence
+   * number of the account is decremented, otherwise a gap is left (see {@link SequenceManager#gaps}).
+   * Transactions following a gap or a failed transaction are rejected by stellar-core
+   * (`txBAD_SEQ`), {@link SequenceManager#rebuild} builds them again with consecutive sequence numbers.
+   *
+   * Once transactions are applied, {@link SequenceManager#confirm} stops tracking them.
+   * @constructor
+   * @param {Account} account - The account, with its current sequence number.
+   */
+  constructor(account) {
+    if (!account) {
+      throw new Error("must specify the account");
+    }
+    this.account = account;
+
+    // the last sequence number that is not tracked (applied or current when created)
+    this._confirmed = new BigNumber(account.sequenceNumber());
+    // tracked sequence numbers in increasing order: {sequence, builder, transaction}
+    this._entries = [];
+  }
+
+  /**
+   * Reserves the next sequence number of the account and increments the sequence number of
+   * the account.
+   * @returns {string} The reserved sequence number.
+   */
+  reserve() {
+    this.account.incrementSequenceNumber();
+    let sequence = this.account.sequenceNumber();
+    this._entries.push({sequence, builder: null, transaction: null});
+    return sequence;
+  }
+
+  /**
+   * Builds a transaction with the next sequence number. The builder is kept so the transaction
+   * can be rebuilt with {@link SequenceManager#rebuild}.
+   * @param {TransactionBuilder} builder - Transaction builder using the account of the manager as its source.
+   * @returns {Transaction}
+   */
+  build(builder) {
+    if (builder.source !== this.account) {
+      throw new Error("Transaction builder must use the account of the sequence manager as its source");
+    }
+    let transaction = builder.build();
+    this._entries.push({sequence: transaction.sequence, builder, transaction});
+    return transaction;
+  }
+
+  /**
+   * Returns the tracked sequence numbers, reserved or used by built transactions, in increasing order.
+   * @returns {Array<string>}
+   */
+  sequences() {
+    return map(this._entries, "sequence");
+  }
+
+  /**
+   * Releases an unused sequence number, ex. of a transaction that will not be submitted. When it is the
+   * last tracked sequence number, the sequence number of the account is decremented to the highest
+   * remaining one. Otherwise a gap is left, use {@link SequenceManager#rebuild} to fill it.
+   * @param {string|Transaction} sequence - Sequence number or transaction.
+   * @returns {void}
+   */
+  rollback(sequence) {
+    let index = this._entryIndex(sequence);
+    this._entries.splice(index, 1);
+    if (index === this._entries.length) {
+      this.account.sequence = this._lastSequence();
+    }
+  }
+
+  /**
+   * Returns sequence numbers between the last confirmed sequence number and the sequence number
+   * of the account that are not tracked, i.e. were rolled back.
+   * @returns {Array<string>}
+   */
+  gaps() {
+    let sequence = this.account.sequenceNumber();
+    let transactions = map(this._entries, entry => ({sequence: entry.sequence}));
+    transactions.push({sequence});
+    return SequenceManager.gaps(transactions, this._confirmed.toString());
+  }
+
+  /**
+   * Rebuilds transactions following the given sequence number (of a failed transaction or a gap)
+   * so that they have consecutive sequence numbers again. The transaction with the given sequence
+   * number, if any, is dropped. Rebuilt transactions must be signed again.
+   *
+   * Sequence numbers reserved with {@link SequenceManager#reserve} after the given one cannot be
+   * rebuilt, they must be rolled back first.
+   * @param {string|Transaction} sequence - Sequence number of the failed transaction or of the gap.
+   * @returns {Array<Transaction>} Rebuilt transactions in increasing order of sequence numbers.
+   */
+  rebuild(sequence) {
+    sequence = new BigNumber(sequence instanceof Transaction ? sequence.sequence : sequence);
+    if (!sequence.greaterThan(this._confirmed)) {
+      throw new Error(`Sequence number ${sequence} is already confirmed`);
+    }
+
+    let later = filter(this._entries, entry => sequence.lessThan(entry.sequence));
+    each(later, entry => {
+      if (!entry.builder) {
+        throw new Error(`Sequence number ${entry.sequence} is reserved without a transaction builder, roll it back first`);
+      }
+    });
+
+    this._entries = filter(this._entries, entry => sequence.greaterThan(entry.sequence));
+    this.account.sequence = sequence.minus(1);
+    return map(later, entry => this.build(entry.builder));
+  }
+
+  /**
+   * Stops tracking sequence numbers up to the given one, once their transactions are applied.
+   * @param {string|Transaction} sequence - Sequence number or transaction.
+   * @returns {void}
+   */
+  confirm(sequence) {
+    sequence = new BigNumber(sequence instanceof Transaction ? sequence.sequence : sequence);
+    this._entries = filter(this._entries, entry => sequence.lessThan(entry.sequence));
+    if (sequence.greaterThan(this._confirmed)) {
+      this._confirmed = sequence;
+    }
+  }
+
+  /**
+   * Returns missing sequence numbers among transactions of the same source account, ex. when some
+   * of them were never built or submitted. Sequence numbers between `sequence` (the current sequence
+   * number of the account) and the first transaction are also missing.
+   * @param {Array<Transaction|{sequence: string}>} transactions - Transactions of the same source account.
+   * @param {string} [sequence] - Current sequence number of the source account.
+   * @returns {Array<string>}
+   */
+  static gaps(transactions, sequence) {
+    let sources = filter(map(transactions, "source"), source => !isUndefined(source));
+    each(sources, source => {
+      if (source !== sources[0]) {
+        throw new Error("Transactions must have the same source account");
+      }
+    });
+
+    let sequences = map(transactions, transaction => new BigNumber(transaction.sequence));
+    sequences.sort((a, b) => a.comparedTo(b));
+    if (!isUndefined(sequence)) {
+      sequences.unshift(new BigNumber(sequence));
+    }
+
+    let result = [];
+    for (let i = 1; i < sequences.length; i++) {
+      for (let missing = sequences[i - 1].add(1); missing.lessThan(sequences[i]); missing = missing.add(1)) {
+        result.push(missing.toString());
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the highest tracked sequence number, or the last confirmed one.
+   * @returns {BigNumber}
+   * @private
+   */
+  _lastSequence() {
+    let last = this._entries[this._entries.length - 1];
+    return last ? new BigNumber(last.sequence) : this._confirmed;
+  }
+
+  /**
+   * Returns the index of the tracked sequence number.
+   * @param {string|Transaction} sequence - Sequence number or transaction.
+   * @returns {number}
+   * @private
+   */
+  _entryIndex(sequence) {
+    let value = sequence instanceof Transaction ? sequence.sequence : sequence;
+    if (!isString(value)) {
+      throw new Error("sequence must be of type string");
+    }
+    let index = findIndex(this._entries, entry => entry.sequence === value);
+    if (index < 0) {
+      throw new Error(`Sequence number ${value} is not reserved`);
+    }
+    return index;
+  }
+}
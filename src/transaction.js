@@ -1,13 +1,23 @@
 import {xdr, hash} from "./index";
 
 import {StrKey} from "./strkey";
+import {Keypair} from "./keypair";
 import {Operation} from "./operation";
 import {Network} from "./network";
 import {Memo} from "./memo";
+import {describeOperation} from "./operation_description";
+import {toUnixTimestamp} from "./util/time";
 import map from "lodash/map";
 import each from "lodash/each";
+import find from "lodash/find";
+import every from "lodash/every";
+import filter from "lodash/filter";
+import uniq from "lodash/uniq";
+import compact from "lodash/compact";
 import isString from 'lodash/isString';
+import BigNumber from 'bignumber.js';
 import crypto from "crypto";
+import {UnsignedHyper} from "js-xdr";
 
 let MIN_LEDGER   = 0;
 let MAX_LEDGER   = 0xFFFFFFFF; // max uint32
@@ -18,10 +28,16 @@ export class Transaction {
    * Once a Transaction has been created from an envelope, its attributes and operations
    * should not be changed. You should only add signers (using {@link Transaction#sign}) to a Transaction object before
    * submitting to the network or forwarding on to additional signers.
+   *
+   * The transaction is hashed and signed for the given network. When no network is given
+   * {@link Network.current} is used, so transactions for several networks can be signed
+   * in the same process.
    * @constructor
    * @param {string|xdr.TransactionEnvelope} envelope - The transaction envelope object or base64 encoded string.
+   * @param {Network|string} [network] - The network the transaction is signed for: a `Network`, the name of a
+   *                         registered network or a network passphrase (see {@link Network.resolve}).
    */
-  constructor(envelope) {
+  constructor(envelope, network) {
     if (typeof envelope === "string") {
       let buffer = new Buffer(envelope, "base64");
       envelope = xdr.TransactionEnvelope.fromXDR(buffer);
@@ -32,6 +48,7 @@ export class Transaction {
     this.fee      = this.tx.fee();
     this._memo    = this.tx.memo();
     this.sequence = this.tx.seqNum().toString();
+    this.networkPassphrase = network ? Network.resolve(network).networkPassphrase() : null;
 
     let timeBounds = this.tx.timeBounds();
     if (timeBounds) {
@@ -58,6 +75,49 @@ export class Transaction {
     throw new Error("Transaction is immutable");
   }
 
+  /**
+   * Returns true if the transaction can be applied at the given time according to its
+   * `timeBounds`. Transactions without timebounds are always valid.
+   * @param {Date|number} [date] Date or unix timestamp (in seconds), defaults to now.
+   * @returns {boolean}
+   */
+  isValidAt(date = new Date()) {
+    let time = new BigNumber(toUnixTimestamp(date, "date"));
+    if (!this.timeBounds) {
+      return true;
+    }
+
+    let minTime = new BigNumber(this.timeBounds.minTime);
+    let maxTime = new BigNumber(this.timeBounds.maxTime);
+    return time.greaterThanOrEqualTo(minTime) && (maxTime.isZero() || time.lessThanOrEqualTo(maxTime));
+  }
+
+  /**
+   * Returns the number of seconds until the transaction expires (`0` if it has already expired),
+   * or `null` if it has no upper time bound.
+   * @param {Date|number} [date] Date or unix timestamp (in seconds) to count from, defaults to now.
+   * @returns {number|null}
+   */
+  expiresIn(date = new Date()) {
+    let time = toUnixTimestamp(date, "date");
+    if (!this.timeBounds || new BigNumber(this.timeBounds.maxTime).isZero()) {
+      return null;
+    }
+
+    let remaining = new BigNumber(this.timeBounds.maxTime).minus(time);
+    return remaining.isNegative() ? 0 : remaining.toNumber();
+  }
+
+  /**
+   * Describes every operation of the transaction with a plain sentence, ex. for approval screens.
+   * Operations with their own source account are prefixed with it.
+   * @param {string} [locale] - `en` (default) or `uk`.
+   * @returns {Array<string>}
+   */
+  describe(locale = "en") {
+    return map(this.operations, operation => describeOperation(operation, locale));
+  }
+
   /**
    * Signs the transaction with the given {@link Keypair}.
    * @param {...Keypair} keypairs Keypairs of signers
@@ -91,6 +151,47 @@ export class Transaction {
     this.signatures.push(new xdr.DecoratedSignature({hint, signature}));
   }
 
+  /**
+   * Verifies the signatures of this transaction against candidate signers.
+   *
+   * Every signature is matched by its hint against the candidates and then verified: ed25519
+   * signatures against the transaction hash, `hashX` signatures (preimages) against the
+   * `sha256Hash` of the signer. The status of a signature is `valid`, `invalid` (a candidate
+   * has the same hint but the signature does not verify) or `unmatched`. Pre-authorized
+   * transaction signers do not produce signatures, candidates with a `preAuthTx` equal to
+   * the hash of this transaction are returned in `preAuthTx`.
+   * @param {Array<string|Keypair|object>} candidates - Public keys, Keypairs or signers with one of
+   *        `ed25519PublicKey`, `sha256Hash` or `preAuthTx` (Buffer or hex string), as returned by
+   *        {@link LedgerEntry.signerFromXDRObject}.
+   * @returns {{valid: boolean, signatures: Array<{signature: xdr.DecoratedSignature, status: string, signer: ?(string|Keypair|object)}>, preAuthTx: Array<object>}}
+   *          `signer` is the candidate that produced the signature, `valid` is true when every signature is valid.
+   */
+  verifySignatures(candidates) {
+    let txHash = this.hash();
+    let signers = map(candidates, candidate => {
+      return {candidate, key: signerKeyFromCandidate(candidate)};
+    });
+
+    let signatures = map(this.signatures, signature => {
+      let hinted = filter(signers, signer => {
+        let hint = signerHint(signer.key);
+        return hint !== null && hint.equals(signature.hint());
+      });
+      let signer = find(hinted, signer => signatureVerifies(signer.key, signature, txHash));
+
+      let status = signer ? "valid" : (hinted.length > 0 ? "invalid" : "unmatched");
+      return {signature, status, signer: signer ? signer.candidate : null};
+    });
+
+    let preAuthTx = map(filter(signers, signer => signer.key.preAuthTx && signer.key.preAuthTx.equals(txHash)), "candidate");
+
+    return {
+      valid: every(signatures, signature => signature.status === "valid"),
+      signatures,
+      preAuthTx
+    };
+  }
+
   /**
    * Returns a hash for this transaction, suitable for signing.
    * @returns {Buffer}
@@ -109,17 +210,123 @@ export class Transaction {
    * @returns {Buffer}
    */
   signatureBase() {
-    if (Network.current() === null) {
+    let network = this.network();
+    if (network === null) {
       throw new Error("No network selected. Use `Network.use`, `Network.usePublicNetwork` or `Network.useTestNetwork` helper methods to select network.");
     }
 
     return Buffer.concat([
-      Network.current().networkId(),
+      network.networkId(),
       xdr.EnvelopeType.envelopeTypeTx().toXDR(),
       this.tx.toXDR()
     ]);
   }
 
+  /**
+   * Returns the network this transaction is signed for: the network of its `networkPassphrase`
+   * or {@link Network.current} if the transaction is not bound to a network.
+   * @returns {Network}
+   */
+  network() {
+    return this.networkPassphrase ? Network.fromPassphrase(this.networkPassphrase) : Network.current();
+  }
+
+  /**
+   * Returns the registered network this transaction was signed for: the first network
+   * (see {@link Network.registered}) for which a signature of the transaction source account,
+   * an operation source account or one of the given public keys is valid.
+   * @param {Array<string|Keypair>} [candidates] - Additional public keys of signers.
+   * @returns {Network|null}
+   */
+  detectNetwork(candidates=[]) {
+    let signers = uniq([this.source].concat(compact(map(this.operations, "source")), map(candidates, candidate => {
+      return candidate instanceof Keypair ? candidate.publicKey() : candidate;
+    })));
+    let envelope = this.toEnvelope();
+
+    return find(Network.registered(), network => {
+      let verification = new Transaction(envelope, network).verifySignatures(signers);
+      return verification.signatures.some(signature => signature.status === "valid");
+    }) || null;
+  }
+
+  /**
+   * Returns the JSON representation of this transaction. The representation is lossless:
+   * {@link Transaction.fromJSON} creates a transaction with the same XDR and hash.
+   *
+   * ```
+   * {
+   *   source: "GB...",              // source account ID
+   *   fee: 100,                     // fee in stroops (uint32)
+   *   sequence: "12884901889",      // sequence number (int64 as string)
+   *   timeBounds: {minTime: "0", maxTime: "1514764800"}, // omitted if not set (uint64 as strings)
+   *   memo: {type: "text", value: "Happy birthday!"},    // see Memo#toJSON
+   *   operations: [{type: "payment", ...}],              // see Operation.toJSON
+   *   signatures: [{hint: "...", signature: "..."}],     // base64 encoded
+   *   networkPassphrase: "..."      // omitted if the transaction is not bound to a network
+   * }
+   * ```
+   * @returns {object}
+   */
+  toJSON() {
+    let json = {
+      source: this.source,
+      fee: this.fee,
+      sequence: this.sequence
+    };
+    if (this.timeBounds) {
+      json.timeBounds = {minTime: this.timeBounds.minTime, maxTime: this.timeBounds.maxTime};
+    }
+    json.memo = this.memo.toJSON();
+    json.operations = map(this.tx.operations(), op => Operation.toJSON(op));
+    json.signatures = map(this.signatures, signature => {
+      return {
+        hint: signature.hint().toString('base64'),
+        signature: signature.signature().toString('base64')
+      };
+    });
+    if (this.networkPassphrase) {
+      json.networkPassphrase = this.networkPassphrase;
+    }
+    return json;
+  }
+
+  /**
+   * Creates a transaction from its JSON representation, see {@link Transaction#toJSON}.
+   * @param {object|string} json - JSON representation of the transaction or its string form.
+   * @returns {Transaction}
+   */
+  static fromJSON(json) {
+    if (isString(json)) {
+      json = JSON.parse(json);
+    }
+
+    let attrs = {
+      sourceAccount: Keypair.fromPublicKey(json.source).xdrAccountId(),
+      fee: json.fee,
+      seqNum: xdr.SequenceNumber.fromString(json.sequence),
+      memo: Memo.fromJSON(json.memo).toXDRObject(),
+      operations: map(json.operations, op => Operation.fromJSON(op)),
+      ext: new xdr.TransactionExt(0)
+    };
+    if (json.timeBounds) {
+      attrs.timeBounds = new xdr.TimeBounds({
+        minTime: UnsignedHyper.fromString(json.timeBounds.minTime),
+        maxTime: UnsignedHyper.fromString(json.timeBounds.maxTime)
+      });
+    }
+
+    let signatures = map(json.signatures, signature => {
+      return new xdr.DecoratedSignature({
+        hint: new Buffer(signature.hint, 'base64'),
+        signature: new Buffer(signature.signature, 'base64')
+      });
+    });
+
+    let envelope = new xdr.TransactionEnvelope({tx: new xdr.Transaction(attrs), signatures});
+    return new Transaction(envelope, json.networkPassphrase);
+  }
+
   /**
    * To envelope returns a xdr.TransactionEnvelope which can be submitted to the network.
    * @returns {xdr.TransactionEnvelope}
@@ -132,3 +339,48 @@ export class Transaction {
     return envelope;
   }
 }
+
+function toBuffer(value) {
+  return isString(value) ? Buffer.from(value, "hex") : value;
+}
+
+function signerKeyFromCandidate(candidate) {
+  if (candidate instanceof Keypair) {
+    return {ed25519PublicKey: candidate.publicKey()};
+  }
+  if (isString(candidate)) {
+    if (!StrKey.isValidEd25519PublicKey(candidate)) {
+      throw new Error(`Invalid signer candidate: ${candidate}`);
+    }
+    return {ed25519PublicKey: candidate};
+  }
+  if (candidate && candidate.ed25519PublicKey) {
+    return {ed25519PublicKey: candidate.ed25519PublicKey};
+  }
+  if (candidate && candidate.sha256Hash) {
+    return {sha256Hash: toBuffer(candidate.sha256Hash)};
+  }
+  if (candidate && candidate.preAuthTx) {
+    return {preAuthTx: toBuffer(candidate.preAuthTx)};
+  }
+  throw new Error("Signer candidate must be a public key, Keypair or an object with ed25519PublicKey, sha256Hash or preAuthTx");
+}
+
+function signerHint(key) {
+  if (key.ed25519PublicKey) {
+    return Keypair.fromPublicKey(key.ed25519PublicKey).signatureHint();
+  }
+  if (key.sha256Hash) {
+    return key.sha256Hash.slice(key.sha256Hash.length - 4);
+  }
+  return null;
+}
+
+function signatureVerifies(key, signature, txHash) {
+  if (key.ed25519PublicKey) {
+    // malformed signatures are invalid, ed25519 signatures are 64 bytes long
+    return signature.signature().length === 64 &&
+      Keypair.fromPublicKey(key.ed25519PublicKey).verify(txHash, signature.signature());
+  }
+  return hash(signature.signature()).equals(key.sha256Hash);
+}
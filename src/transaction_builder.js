@@ -6,14 +6,22 @@ import {Account} from "./account";
 import {Operation} from "./operation";
 import {Transaction} from "./transaction";
 import {Memo} from "./memo";
+import {Network} from "./network";
+import {Fee} from "./fee";
+import {toUnixTimestamp} from "./util/time";
 import BigNumber from 'bignumber.js';
 import clone from "lodash/clone";
 import map from "lodash/map";
+import each from "lodash/each";
 import isUndefined from "lodash/isUndefined";
+import isInteger from "lodash/isInteger";
 
 let BASE_FEE     = 100; // Stroops
 let MIN_LEDGER   = 0;
 let MAX_LEDGER   = 0xFFFFFFFF; // max uint32
+let MAX_FEE      = 0xFFFFFFFF; // max uint32
+let MAX_TIME     = new BigNumber("18446744073709551615"); // max uint64
+let MAX_OPERATIONS = 100;
 
 export class TransactionBuilder {
   /**
@@ -57,6 +65,10 @@ export class TransactionBuilder {
    * @param {number|string} [opts.timebounds.minTime] - 64 bit unix timestamp
    * @param {number|string} [opts.timebounds.maxTime] - 64 bit unix timestamp
    * @param {Memo} [opts.memo] - The memo for the transaction
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network the transaction is signed for.
+   *                 Defaults to {@link Network.current} at the time of signing.
+   * @param {Network|string} [opts.network] - The network (or name or ID of a registered network, see {@link Network.from})
+   *                 the transaction is signed for, an alternative to `opts.networkPassphrase`. Unknown names throw an error.
    */
   constructor(sourceAccount, opts={}) {
     if (!sourceAccount) {
@@ -69,9 +81,51 @@ export class TransactionBuilder {
     this.fee = null;
     this.timebounds = clone(opts.timebounds);
     this.memo       = opts.memo || Memo.none();
+    this.networkPassphrase = opts.networkPassphrase || (opts.network ? Network.from(opts.network).networkPassphrase() : null);
 
     // the signed base64 form of the transaction to be sent to Horizon
     this.blob = null;
+
+    // signatures of the transaction this builder was created from, see `fromTransaction`
+    this.signatures = [];
+    this._originalTx = null;
+  }
+
+  /**
+   * Creates a builder seeded from an existing transaction: its source account, sequence number,
+   * operations, memo, fee, timebounds and network. The fee is kept as a fee per operation when
+   * it is a multiple of the number of operations, as a fixed fee (see {@link TransactionBuilder#addFee}) otherwise.
+   *
+   * The built transaction keeps the signatures of the original transaction only when nothing
+   * was changed, i.e. when its hash is the same. Otherwise signatures are dropped and the
+   * transaction must be signed again.
+   * @param {Transaction|string|xdr.TransactionEnvelope} transaction - Transaction, or envelope object or base64 encoded string.
+   * @returns {TransactionBuilder}
+   */
+  static fromTransaction(transaction) {
+    if (!(transaction instanceof Transaction)) {
+      transaction = new Transaction(transaction);
+    }
+
+    let operationCount = transaction.operations.length;
+    let feePerOperation = operationCount > 0 && transaction.fee % operationCount === 0;
+    let sequence = new BigNumber(transaction.sequence).minus(1).toString();
+    let baseFee = operationCount > 0 ? Math.floor(transaction.fee / operationCount) : BASE_FEE;
+    let source = new Account(transaction.source, sequence, baseFee);
+
+    let builder = new TransactionBuilder(source, {
+      timebounds: transaction.timeBounds,
+      memo: transaction.memo,
+      networkPassphrase: transaction.networkPassphrase
+    });
+    if (!feePerOperation) {
+      builder.addFee(transaction.fee);
+    }
+    each(transaction.tx.operations(), operation => builder.addOperation(operation));
+
+    builder.signatures = clone(transaction.signatures);
+    builder._originalTx = transaction.tx.toXDR('base64');
+    return builder;
   }
 
   /**
@@ -84,6 +138,67 @@ export class TransactionBuilder {
     return this;
   }
 
+  /**
+   * Sets the timebounds of the transaction so that it expires `seconds` after now. The minimum
+   * time is kept if timebounds were already set. A timeout of `0` means the transaction never
+   * expires.
+   * @param {number} seconds Number of seconds the transaction is valid for
+   * @returns {TransactionBuilder}
+   */
+  setTimeout(seconds) {
+    if (!(isInteger(seconds) && seconds >= 0)) {
+      throw new Error("timeout cannot be negative and must be an integer");
+    }
+    // bounds missing from timebounds given to the constructor are 0
+    let timebounds = this.timebounds || {};
+    if (!isUndefined(timebounds.maxTime) && new BigNumber(timebounds.maxTime.toString()).greaterThan(0)) {
+      throw new Error("timebounds.maxTime has been already set - setting timeout would overwrite it");
+    }
+
+    let maxTime = seconds > 0 ? Math.floor(Date.now() / 1000) + seconds : 0;
+    let minTime = isUndefined(timebounds.minTime) ? "0" : timebounds.minTime.toString();
+    this.timebounds = {minTime, maxTime: maxTime.toString()};
+    return this;
+  }
+
+  /**
+   * Sets the timebounds of the transaction. Times are `Date` objects or unix timestamps (in seconds),
+   * a `maxTime` of `0` means the transaction has no upper time bound.
+   * @param {Date|number} minTime Time the transaction becomes valid
+   * @param {Date|number} maxTime Time the transaction expires
+   * @returns {TransactionBuilder}
+   */
+  setTimebounds(minTime, maxTime) {
+    this.timebounds = {
+      minTime: toUnixTimestamp(minTime, "minTime"),
+      maxTime: toUnixTimestamp(maxTime, "maxTime")
+    };
+    return this;
+  }
+
+  /**
+   * Returns the fee of the transaction: the fee set with {@link TransactionBuilder#addFee} or the base
+   * fee multiplied by the number of operations.
+   * @returns {number}
+   * @private
+   */
+  _totalFee() {
+    return (this.fee !== null) ? this.fee : (parseInt(this.baseFee) * this.operations.length);
+  }
+
+  /**
+   * Removes the operation at the given index from the transaction.
+   * @param {number} index Index of the operation
+   * @returns {TransactionBuilder}
+   */
+  removeOperation(index) {
+    if (!(index >= 0 && index < this.operations.length)) {
+      throw new Error(`Operation index ${index} is out of range`);
+    }
+    this.operations.splice(index, 1);
+    return this;
+  }
+
   /**
    * Adds a memo to the transaction.
    * @param {Memo} memo {@link Memo} object
@@ -95,8 +210,9 @@ export class TransactionBuilder {
   }
 
   /**
-   * Adds a fee to the transaction.
-   * @param {Fee} fee {@link Fee} object
+   * Sets the total fee of the transaction instead of the base fee multiplied by the number of
+   * operations. The fee cannot be lower than the minimum fee, see {@link Fee.minimum}.
+   * @param {number} fee Fee of the transaction (**in stroops**)
    * @returns {TransactionBuilder}
    */
   addFee(fee) {
@@ -104,38 +220,142 @@ export class TransactionBuilder {
       return this;
   }
 
+  /**
+   * Checks the transaction before it is built and returns all problems found. Every problem
+   * is an object with `field` (`operations`, `operations[i]`, `fee`, `timebounds` or `memo`),
+   * a stable `code` and a `message`:
+   * * `MISSING_OPERATION`: the transaction has no operations (rejected by stellar-core as `txMISSING_OPERATION`),
+   * * `TOO_MANY_OPERATIONS`: the transaction has more than 100 operations,
+   * * `INVALID_OPERATION`: the operation is not an `xdr.Operation` or cannot be encoded,
+   * * `INVALID_FEE`: the fee is not an integer or does not fit in uint32,
+   * * `FEE_TOO_LOW`: the fee set with {@link TransactionBuilder#addFee} is lower than the minimum fee (see {@link Fee.minimum}),
+   * * `INVALID_TIMEBOUNDS`: timebounds are not uint64 values or `minTime` is after `maxTime`,
+   * * `INVALID_MEMO`: the memo is not a {@link Memo} or cannot be encoded.
+   * @returns {Array<{field: string, code: string, message: string}>}
+   */
+  validate() {
+    let errors = [];
+    let addError = (field, code, message) => errors.push({field, code, message});
+
+    if (this.operations.length === 0) {
+      addError("operations", "MISSING_OPERATION", "transaction must contain at least one operation");
+    }
+    if (this.operations.length > MAX_OPERATIONS) {
+      addError("operations", "TOO_MANY_OPERATIONS", `transaction cannot contain more than ${MAX_OPERATIONS} operations, got ${this.operations.length}`);
+    }
+    each(this.operations, (operation, index) => {
+      let error = operationError(operation);
+      if (error) {
+        addError(`operations[${index}]`, "INVALID_OPERATION", `operation ${index} is invalid: ${error}`);
+      }
+    });
+
+    let fee = this._totalFee();
+    if (!(isInteger(fee) && fee >= 0 && fee <= MAX_FEE)) {
+      addError("fee", "INVALID_FEE", `fee must be an integer between 0 and ${MAX_FEE}, got ${fee}`);
+    } else if (this.fee !== null && isInteger(parseInt(this.baseFee))) {
+      try {
+        Fee.validate(fee, this.operations, parseInt(this.baseFee));
+      } catch (e) {
+        addError("fee", "FEE_TOO_LOW", e.message);
+      }
+    }
+
+    if (this.timebounds) {
+      let minTime = toTime(this.timebounds.minTime);
+      let maxTime = toTime(this.timebounds.maxTime);
+      if (minTime === null || maxTime === null) {
+        addError("timebounds", "INVALID_TIMEBOUNDS", "timebounds.minTime and timebounds.maxTime must be 64 bit unix timestamps");
+      } else if (!maxTime.isZero() && minTime.greaterThan(maxTime)) {
+        addError("timebounds", "INVALID_TIMEBOUNDS", `timebounds.minTime (${minTime}) cannot be after timebounds.maxTime (${maxTime})`);
+      }
+    }
+
+    if (!(this.memo instanceof Memo)) {
+      addError("memo", "INVALID_MEMO", "memo must be a Memo object");
+    } else {
+      try {
+        this.memo.toXDRObject().toXDR();
+      } catch (e) {
+        addError("memo", "INVALID_MEMO", `memo is invalid: ${e.message}`);
+      }
+    }
+
+    return errors;
+  }
+
   /**
    * This will build the transaction.
    * It will also increment the source account's sequence number by 1.
+   *
+   * The transaction is checked with {@link TransactionBuilder#validate} first. If there are
+   * problems, an error listing all of them is thrown, its `errors` property holds the problems.
    * @returns {Transaction} This method will return the built {@link Transaction}.
    */
   build() {
+    let errors = this.validate();
+    if (errors.length > 0) {
+      let error = new Error(`Invalid transaction: ${map(errors, "message").join("; ")}`);
+      error.errors = errors;
+      throw error;
+    }
+
     let sequenceNumber = new BigNumber(this.source.sequenceNumber()).add(1);
-    //console.log(this.source);
-    let baseFee = parseInt(this.baseFee);
 
     var attrs = {
       sourceAccount: Keypair.fromPublicKey(this.source.accountId()).xdrAccountId(),
-      fee:           (this.fee !== null) ? this.fee : (baseFee * this.operations.length),
+      fee:           this._totalFee(),
       seqNum:        xdr.SequenceNumber.fromString(sequenceNumber.toString()),
-      memo:          this.memo ? this.memo.toXDRObject() : null,
+      memo:          this.memo.toXDRObject(),
       ext:           new xdr.TransactionExt(0)
     };
 
     if (this.timebounds) {
-      this.timebounds.minTime = UnsignedHyper.fromString(this.timebounds.minTime.toString());
-      this.timebounds.maxTime = UnsignedHyper.fromString(this.timebounds.maxTime.toString());
-      attrs.timeBounds = new xdr.TimeBounds(this.timebounds);
+      attrs.timeBounds = new xdr.TimeBounds({
+        minTime: UnsignedHyper.fromString(this.timebounds.minTime.toString()),
+        maxTime: UnsignedHyper.fromString(this.timebounds.maxTime.toString())
+      });
     }
 
     let xtx = new xdr.Transaction(attrs);
     xtx.operations(this.operations);
 
-    let xenv = new xdr.TransactionEnvelope({tx:xtx});
-    let tx = new Transaction(xenv);
+    // signatures stay valid only if the transaction is unchanged
+    let signatures = (xtx.toXDR('base64') === this._originalTx) ? clone(this.signatures) : [];
+    let xenv = new xdr.TransactionEnvelope({tx:xtx, signatures});
+    let tx = new Transaction(xenv, this.networkPassphrase);
 
     this.source.incrementSequenceNumber();
 
     return tx;
   }
 }
+
+function operationError(operation) {
+  if (!(operation instanceof xdr.Operation)) {
+    return "must be an xdr.Operation, use Operation static methods";
+  }
+  try {
+    operation.toXDR();
+    Operation.fromXDRObject(operation);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+function toTime(value) {
+  if (isUndefined(value) || value === null) {
+    return null;
+  }
+  let time;
+  try {
+    time = new BigNumber(value.toString());
+  } catch (e) {
+    return null;
+  }
+  if (!time.isInteger() || time.isNegative() || time.greaterThan(MAX_TIME)) {
+    return null;
+  }
+  return time;
+}
@@ -0,0 +1,114 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {Asset} from "./asset";
+import {LedgerEntry} from "./ledger_entry";
+import BigNumber from 'bignumber.js';
+import map from "lodash/map";
+import each from "lodash/each";
+import flatten from "lodash/flatten";
+import isString from 'lodash/isString';
+
+// `xdr.LedgerEntryChangeType` names mapped to the `type` of a decoded change
+const CHANGE_TYPES = {
+  ledgerEntryCreated: "created",
+  ledgerEntryUpdated: "updated",
+  ledgerEntryRemoved: "removed",
+  ledgerEntryState: "state"
+};
+
+export class TransactionMeta {
+  /**
+   * `TransactionMeta` decodes the ledger changes made by a transaction, as returned by
+   * stellar-core along with the transaction result.
+   *
+   * Every operation has a list of `changes`. A change has a `type` (`created`, `updated`,
+   * `removed` or `state`) and an `entry` decoded with {@link LedgerEntry.fromXDRObject}.
+   * For `removed` changes `entry` only holds the ledger key ({@link LedgerEntry.keyFromXDRObject}).
+   * A `state` change holds the value of an entry before it was updated or removed.
+   * @constructor
+   * @param {string|xdr.TransactionMeta} meta - The transaction meta object or base64 encoded string.
+   */
+  constructor(meta) {
+    if (isString(meta)) {
+      meta = xdr.TransactionMeta.fromXDR(new Buffer(meta, "base64"));
+    }
+
+    this.operations = map(meta.operations(), op => {
+      return {changes: map(op.changes(), change => TransactionMeta.changeFromXDRObject(change))};
+    });
+  }
+
+  /**
+   * Converts the XDR LedgerEntryChange object to a plain object.
+   * @param {xdr.LedgerEntryChange} change - An XDR LedgerEntryChange.
+   * @returns {{type: string, entry: object}}
+   */
+  static changeFromXDRObject(change) {
+    let type = CHANGE_TYPES[change.switch().name];
+    let entry;
+    if (change.switch() === xdr.LedgerEntryChangeType.ledgerEntryRemoved()) {
+      entry = LedgerEntry.keyFromXDRObject(change.removed());
+    } else {
+      entry = LedgerEntry.fromXDRObject(change.value());
+    }
+    return {type, entry};
+  }
+
+  /**
+   * Returns the changes of all operations in order.
+   * @returns {Array<{type: string, entry: object}>}
+   */
+  changes() {
+    return flatten(map(this.operations, op => op.changes));
+  }
+
+  /**
+   * Returns balance changes of accounts (native asset) and trust lines made by the
+   * transaction. Each balance is compared between its first known value (the `state`
+   * before the first change, `0` for created entries) and its final value (`0` for
+   * removed entries). Balances that did not change are omitted.
+   * @returns {Array<{accountId: string, asset: Asset, before: string, after: string, delta: string}>}
+   */
+  balanceChanges() {
+    let balances = {};
+    let order = [];
+
+    let track = (accountId, asset, before, after) => {
+      let id = `${accountId}:${asset.getCode()}:${asset.getIssuer() || ''}`;
+      if (!balances[id]) {
+        balances[id] = {accountId, asset, before, after};
+        order.push(id);
+      }
+      balances[id].after = after;
+    };
+
+    each(this.changes(), ({type, entry}) => {
+      if (entry.type !== "account" && entry.type !== "trustline") {
+        return;
+      }
+
+      let asset = entry.type === "account" ? Asset.native() : entry.asset;
+      switch (type) {
+        case "state":
+        case "updated":
+        track(entry.accountId, asset, entry.balance, entry.balance);
+        break;
+        case "created":
+        track(entry.accountId, asset, "0", entry.balance);
+        break;
+        case "removed":
+        track(entry.accountId, asset, "0", "0");
+        break;
+      }
+    });
+
+    let result = [];
+    each(order, id => {
+      let {accountId, asset, before, after} = balances[id];
+      let delta = new BigNumber(after).minus(before);
+      if (!delta.isZero()) {
+        result.push({accountId, asset, before, after, delta: delta.toString()});
+      }
+    });
+    return result;
+  }
+}
@@ -0,0 +1,136 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {StrKey} from "./strkey";
+import {Asset} from "./asset";
+import {Operation} from "./operation";
+import map from "lodash/map";
+import isString from 'lodash/isString';
+
+// `xdr.OperationType` names that differ from the `type` returned by `Operation.fromXDRObject`
+const OPERATION_TYPES = {
+  setOption: "setOptions",
+  manageDatum: "manageData"
+};
+
+export class TransactionResult {
+  /**
+   * `TransactionResult` decodes the result of a transaction returned by stellar-core
+   * into plain JS values.
+   *
+   * Result codes are the names of the XDR enum members, ex. `txSuccess`, `txFailed`,
+   * `paymentUnderfunded`, `spendFeeDestBlocked` or `opAccountBlockedOut`. Amounts are
+   * converted the same way as in {@link Operation.fromXDRObject}.
+   * @constructor
+   * @param {string|xdr.TransactionResult} result - The transaction result object or base64 encoded string.
+   */
+  constructor(result) {
+    if (isString(result)) {
+      result = xdr.TransactionResult.fromXDR(new Buffer(result, "base64"));
+    }
+
+    let code = result.result().switch();
+
+    this.feeCharged = result.feeCharged().toString();
+    this.code       = code.name;
+    this.success    = code === xdr.TransactionResultCode.txSuccess();
+
+    let results = [];
+    if (code === xdr.TransactionResultCode.txSuccess() || code === xdr.TransactionResultCode.txFailed()) {
+      results = result.result().results();
+    }
+    this.operations = map(results, r => TransactionResult.operationResultFromXDR(r));
+  }
+
+  /**
+   * Converts the XDR OperationResult object to a plain object.
+   *
+   * The returned object always contains `type` (`null` when the operation was not
+   * applied), `code` and `success`. Operations returning more than a code add details:
+   * * `pathPayment`: `offers`, `last` or `noIssuer`
+   * * `manageOffer`, `createPassiveOffer`: `offersClaimed`, `effect`, `offer`
+   * * `accountMerge`: `sourceAccountBalance`
+   * * `inflation`: `payouts`
+   * @param {xdr.OperationResult} operationResult - An XDR OperationResult.
+   * @returns {object}
+   */
+  static operationResultFromXDR(operationResult) {
+    if (operationResult.switch() !== xdr.OperationResultCode.opInner()) {
+      return {
+        type: null,
+        code: operationResult.switch().name,
+        success: false
+      };
+    }
+
+    let tr = operationResult.tr();
+    let inner = tr.value();
+    let type = tr.switch().name;
+
+    let result = {};
+    result.type = OPERATION_TYPES[type] || type;
+    result.code = inner.switch().name;
+    result.success = inner.switch().value === 0;
+
+    switch (type) {
+      case "pathPayment":
+      if (result.success) {
+        result.offers = map(inner.success().offers(), claimOfferAtomFromXDR);
+        result.last = {
+          destination: accountIdtoAddress(inner.success().last().destination()),
+          asset: Asset.fromOperation(inner.success().last().asset()),
+          amount: Operation._fromXDRAmount(inner.success().last().amount())
+        };
+      } else if (inner.switch() === xdr.PathPaymentResultCode.pathPaymentNoIssuer()) {
+        result.noIssuer = Asset.fromOperation(inner.noIssuer());
+      }
+      break;
+      case "manageOffer":
+      case "createPassiveOffer":
+      if (result.success) {
+        let offer = inner.success().offer();
+        result.offersClaimed = map(inner.success().offersClaimed(), claimOfferAtomFromXDR);
+        result.effect = offer.switch().name;
+        if (offer.switch() !== xdr.ManageOfferEffect.manageOfferDeleted()) {
+          result.offer = offerEntryFromXDR(offer.offer());
+        }
+      }
+      break;
+      case "accountMerge":
+      if (result.success) {
+        result.sourceAccountBalance = Operation._fromXDRAmount(inner.sourceAccountBalance());
+      }
+      break;
+      case "inflation":
+      result.payouts = Operation.inflationResultFromXDR(inner).payouts;
+      break;
+    }
+
+    return result;
+  }
+}
+
+function accountIdtoAddress(accountId) {
+  return StrKey.encodeEd25519PublicKey(accountId.ed25519());
+}
+
+function claimOfferAtomFromXDR(atom) {
+  return {
+    sellerId: accountIdtoAddress(atom.sellerId()),
+    offerId: atom.offerId().toString(),
+    assetSold: Asset.fromOperation(atom.assetSold()),
+    amountSold: Operation._fromXDRAmount(atom.amountSold()),
+    assetBought: Asset.fromOperation(atom.assetBought()),
+    amountBought: Operation._fromXDRAmount(atom.amountBought())
+  };
+}
+
+function offerEntryFromXDR(offer) {
+  return {
+    sellerId: accountIdtoAddress(offer.sellerId()),
+    offerId: offer.offerId().toString(),
+    selling: Asset.fromOperation(offer.selling()),
+    buying: Asset.fromOperation(offer.buying()),
+    amount: Operation._fromXDRAmount(offer.amount()),
+    price: Operation._fromXDRPrice(offer.price()),
+    flags: offer.flags()
+  };
+}
@@ -0,0 +1,234 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {Keypair} from "./keypair";
+import {StrKey} from "./strkey";
+import {Transaction} from "./transaction";
+import {Asset} from "./asset";
+import {Operation} from "./operation";
+import {Memo, MemoNone, MemoID, MemoText, MemoHash, MemoReturn} from "./memo";
+import map from "lodash/map";
+import each from "lodash/each";
+import filter from "lodash/filter";
+import invert from "lodash/invert";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+const SCHEME = "web+stellar:";
+const MAX_MSG_LENGTH = 300;
+// Prefix of signed payloads: 35 zero bytes followed by 4, then the text below and the URI
+const SIGNATURE_PREFIX = Buffer.concat([new Buffer(35).fill(0), new Buffer([4]), new Buffer("stellar.sep.7 - URI Scheme")]);
+
+// `Memo` types mapped to `memo_type` values
+const MEMO_TYPES = {
+  [MemoText]: "MEMO_TEXT",
+  [MemoID]: "MEMO_ID",
+  [MemoHash]: "MEMO_HASH",
+  [MemoReturn]: "MEMO_RETURN"
+};
+const MEMO_TYPE_NAMES = invert(MEMO_TYPES);
+
+/**
+ * `TransactionUri` encodes and decodes `web+stellar:` URIs handing transactions to wallets
+ * (ex. as links or QR codes), as described in [SEP-0007](https://github.com/stellar/stellar-protocol/blob/master/ecosystem/sep-0007.md):
+ * * `web+stellar:tx?xdr=...` asks the wallet to sign a transaction envelope, see {@link TransactionUri.tx},
+ * * `web+stellar:pay?destination=...` asks the wallet to make a payment, see {@link TransactionUri.pay}.
+ *
+ * A URI can be signed by the {@link Keypair} of its issuer with the `signer` option, wallets check
+ * the signature with {@link TransactionUri.verify}.
+ */
+export class TransactionUri {
+  /**
+   * Returns a `web+stellar:tx` URI for the transaction.
+   * @param {Transaction|xdr.TransactionEnvelope|string} transaction - Transaction, or envelope object or base64 encoded string.
+   * @param {object} [opts]
+   * @param {string} [opts.callback] - URL the signed envelope is posted to, instead of submitting it to the network.
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network, the one of the transaction by default.
+   * @param {string} [opts.msg] - Message shown to the user (up to 300 characters).
+   * @param {string} [opts.originDomain] - Domain of the issuer of the URI.
+   * @param {Keypair} [opts.signer] - Keypair signing the URI.
+   * @returns {string}
+   */
+  static tx(transaction, opts={}) {
+    let envelope = transaction;
+    let networkPassphrase = opts.networkPassphrase;
+    if (transaction instanceof Transaction) {
+      envelope = transaction.toEnvelope().toXDR('base64');
+      networkPassphrase = networkPassphrase || transaction.networkPassphrase;
+    } else if (transaction instanceof xdr.TransactionEnvelope) {
+      envelope = transaction.toXDR('base64');
+    } else if (!isString(transaction)) {
+      throw new Error("transaction must be a Transaction, an xdr.TransactionEnvelope or a base64 encoded string");
+    }
+
+    return build("tx", [["xdr", envelope]], opts, networkPassphrase);
+  }
+
+  /**
+   * Returns a `web+stellar:pay` URI asking to pay the destination. The wallet chooses the asset
+   * used to pay when `asset` is not given.
+   * @param {object} opts
+   * @param {string} opts.destination - Destination account ID.
+   * @param {string} [opts.amount] - Amount to pay, the user chooses the amount when it is not given.
+   * @param {Asset} [opts.asset] - Asset to pay, the native asset is encoded as `asset_code=XLM`.
+   * @param {Memo} [opts.memo] - Memo of the payment.
+   * @param {string} [opts.callback] - URL the signed envelope is posted to, instead of submitting it to the network.
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network.
+   * @param {string} [opts.msg] - Message shown to the user (up to 300 characters).
+   * @param {string} [opts.originDomain] - Domain of the issuer of the URI.
+   * @param {Keypair} [opts.signer] - Keypair signing the URI.
+   * @returns {string}
+   */
+  static pay(opts) {
+    if (!StrKey.isValidEd25519PublicKey(opts.destination)) {
+      throw new Error("destination is invalid");
+    }
+    if (!isUndefined(opts.amount) && !Operation.isValidAmount(opts.amount)) {
+      throw new TypeError(Operation.constructAmountRequirementsError("amount"));
+    }
+
+    let params = [["destination", opts.destination], ["amount", opts.amount]];
+    if (opts.asset) {
+      params.push(["asset_code", opts.asset.getCode()], ["asset_issuer", opts.asset.getIssuer()]);
+    }
+    if (opts.memo && opts.memo.type !== MemoNone) {
+      let value = Buffer.isBuffer(opts.memo.value) ? opts.memo.value.toString('base64') : opts.memo.value;
+      params.push(["memo", value], ["memo_type", MEMO_TYPES[opts.memo.type]]);
+    }
+
+    return build("pay", params, opts, opts.networkPassphrase);
+  }
+
+  /**
+   * Decodes a `web+stellar:` URI. The result has the `operation` (`tx` or `pay`), the parameters
+   * of the operation and `callback`, `networkPassphrase`, `msg`, `originDomain` and `signature`
+   * when they are present:
+   * * `tx` URIs have `xdr` and `transaction` ({@link Transaction} bound to `networkPassphrase`),
+   * * `pay` URIs have `destination`, `amount`, `asset` ({@link Asset}, `undefined` if any asset
+   *   can be used) and `memo` ({@link Memo}).
+   *
+   * The signature is not checked, use {@link TransactionUri.verify}.
+   * @param {string} uri - `web+stellar:` URI.
+   * @returns {object}
+   */
+  static parse(uri) {
+    if (!isString(uri) || uri.indexOf(SCHEME) !== 0) {
+      throw new Error(`URI must start with ${SCHEME}`);
+    }
+
+    let [operation, query] = uri.slice(SCHEME.length).split("?");
+    let params = {};
+    each((query || "").split("&"), pair => {
+      if (pair.length > 0) {
+        let index = pair.indexOf("=");
+        let key = index >= 0 ? pair.slice(0, index) : pair;
+        let value = index >= 0 ? pair.slice(index + 1) : "";
+        params[decodeURIComponent(key)] = decodeURIComponent(value);
+      }
+    });
+
+    let result = {operation};
+    switch (operation) {
+      case "tx":
+      if (!params.xdr) {
+        throw new Error("xdr parameter is required");
+      }
+      result.xdr = params.xdr;
+      result.transaction = new Transaction(params.xdr, params.network_passphrase);
+      break;
+      case "pay":
+      if (!params.destination) {
+        throw new Error("destination parameter is required");
+      }
+      result.destination = params.destination;
+      result.amount = params.amount;
+      if (params.asset_code) {
+        result.asset = parseAsset(params.asset_code, params.asset_issuer);
+      }
+      result.memo = params.memo ? parseMemo(params.memo, params.memo_type) : Memo.none();
+      break;
+      default:
+      throw new Error(`Unsupported URI operation: ${operation}`);
+    }
+
+    if (params.callback) {
+      result.callback = params.callback.replace(/^url:/, "");
+    }
+    result.networkPassphrase = params.network_passphrase;
+    result.msg = params.msg;
+    result.originDomain = params.origin_domain;
+    result.signature = params.signature;
+    return result;
+  }
+
+  /**
+   * Returns the URI signed by the keypair. The signature replaces an existing one.
+   * @param {string} uri - `web+stellar:` URI.
+   * @param {Keypair} keypair - Keypair of the issuer of the URI.
+   * @returns {string}
+   */
+  static sign(uri, keypair) {
+    uri = withoutSignature(uri);
+    let signature = keypair.sign(signaturePayload(uri)).toString('base64');
+    return `${uri}&signature=${encodeURIComponent(signature)}`;
+  }
+
+  /**
+   * Returns true if the URI is signed by the given public key.
+   * @param {string} uri - `web+stellar:` URI.
+   * @param {Keypair|string} publicKey - Keypair or public key of the issuer of the URI.
+   * @returns {boolean}
+   */
+  static verify(uri, publicKey) {
+    let keypair = publicKey instanceof Keypair ? publicKey : Keypair.fromPublicKey(publicKey);
+    let signature = this.parse(uri).signature;
+    if (!signature) {
+      return false;
+    }
+    return keypair.verify(signaturePayload(withoutSignature(uri)), new Buffer(signature, 'base64'));
+  }
+}
+
+function build(operation, params, opts, networkPassphrase) {
+  if (!isUndefined(opts.msg) && opts.msg.length > MAX_MSG_LENGTH) {
+    throw new Error(`msg cannot be longer than ${MAX_MSG_LENGTH} characters`);
+  }
+  if (opts.callback) {
+    params.push(["callback", opts.callback.indexOf("url:") === 0 ? opts.callback : `url:${opts.callback}`]);
+  }
+  params.push(["network_passphrase", networkPassphrase], ["msg", opts.msg], ["origin_domain", opts.originDomain]);
+
+  let query = map(filter(params, ([key, value]) => !isUndefined(value) && value !== null), ([key, value]) => {
+    return `${key}=${encodeURIComponent(value)}`;
+  }).join("&");
+  let uri = `${SCHEME}${operation}?${query}`;
+  return opts.signer ? TransactionUri.sign(uri, opts.signer) : uri;
+}
+
+function parseAsset(code, issuer) {
+  if (issuer) {
+    return new Asset(code, issuer);
+  }
+  if (code !== Asset.native().getCode()) {
+    throw new Error(`asset_issuer parameter is required for asset_code ${code}`);
+  }
+  return Asset.native();
+}
+
+function parseMemo(value, type = "MEMO_TEXT") {
+  let memoType = MEMO_TYPE_NAMES[type];
+  if (!memoType) {
+    throw new Error(`Unsupported memo_type: ${type}`);
+  }
+  if (memoType === MemoHash || memoType === MemoReturn) {
+    value = new Buffer(value, 'base64');
+  }
+  return new Memo(memoType, value);
+}
+
+function withoutSignature(uri) {
+  let index = uri.indexOf("&signature=");
+  return index >= 0 ? uri.slice(0, index) : uri;
+}
+
+function signaturePayload(uri) {
+  return Buffer.concat([SIGNATURE_PREFIX, new Buffer(uri)]);
+}
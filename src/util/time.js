@@ -0,0 +1,20 @@
+import isDate from "lodash/isDate";
+import isInteger from "lodash/isInteger";
+
+/**
+ * Converts a `Date` or a unix timestamp (in seconds) to a unix timestamp string.
+ * @private
+ * @param {Date|number} value
+ * @param {string} name Name of the argument used in the error message
+ * @throws Error Throws `Error` when the value is not a `Date` or a non-negative integer.
+ * @returns {string}
+ */
+export function toUnixTimestamp(value, name) {
+  if (isDate(value)) {
+    value = Math.floor(value.getTime() / 1000);
+  }
+  if (!(isInteger(value) && value >= 0)) {
+    throw new Error(`${name} must be a Date or a non-negative integer unix timestamp`);
+  }
+  return value.toString();
+}
@@ -26,3 +26,64 @@ describe('Account.incrementSequenceNumber', function() {
     expect(account.sequenceNumber()).to.equal("103");
   });
 });
+
+describe('Account.fromLedgerEntry', function() {
+  let xdr = StellarBase.xdr;
+  let accountId = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+  let signerKey = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+  function accountEntry() {
+    return new xdr.AccountEntry({
+      accountId: StellarBase.Keypair.fromPublicKey(accountId).xdrAccountId(),
+      accountType: xdr.AccountType.accountAgent().value,
+      balance: StellarBase.Hyper.fromString("1230000000"),
+      seqNum: xdr.SequenceNumber.fromString("12884901889"),
+      numSubEntries: 2,
+      inflationDest: StellarBase.Keypair.fromPublicKey(signerKey).xdrAccountId(),
+      flags: StellarBase.BlockIncomingFlag | StellarBase.BlockOutgoingFlag,
+      homeDomain: "humaniq.com",
+      thresholds: new Buffer([1, 2, 3, 4]),
+      signers: [
+        new xdr.Signer({
+          key: xdr.SignerKey.signerKeyTypeEd25519(StellarBase.StrKey.decodeEd25519PublicKey(signerKey)),
+          weight: 2,
+          signerType: xdr.SignerType.signerEmission().value
+        })
+      ],
+      ext: new xdr.AccountEntryExt(0)
+    });
+  }
+
+  it("creates an Account object from an XDR AccountEntry", function() {
+    let account = StellarBase.Account.fromLedgerEntry(accountEntry(), '100');
+    expect(account.accountId()).to.equal(accountId);
+    expect(account.sequenceNumber()).to.equal("12884901889");
+    expect(account.baseFeeValue()).to.equal("100");
+    expect(account.accountType).to.equal(StellarBase.AccountType.AGENT);
+    expect(account.balance).to.equal("123");
+    expect(account.numSubEntries).to.equal(2);
+    expect(account.inflationDest).to.equal(signerKey);
+    expect(account.flags).to.be.deep.equal({
+      authRequired: false,
+      authRevocable: false,
+      authImmutable: false,
+      blockIncoming: true,
+      blockOutgoing: true
+    });
+    expect(account.homeDomain).to.equal("humaniq.com");
+    expect(account.thresholds).to.be.deep.equal({masterWeight: 1, low: 2, med: 3, high: 4});
+    expect(account.signers).to.be.deep.equal([{
+      ed25519PublicKey: signerKey,
+      weight: 2,
+      signerType: StellarBase.SignerType.EMISSION
+    }]);
+  });
+
+  it("creates an Account object from a base64 encoded AccountEntry", function() {
+    let account = StellarBase.Account.fromLedgerEntry(accountEntry().toXDR('base64'));
+    expect(account.accountId()).to.equal(accountId);
+    expect(account.balance).to.equal("123");
+    account.incrementSequenceNumber();
+    expect(account.sequenceNumber()).to.equal("12884901890");
+  });
+});
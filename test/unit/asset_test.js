@@ -109,4 +109,25 @@ describe('Asset', function() {
             expect(xdr.value().assetCode()).to.equal('123456789012');
         });
     });
+
+    describe("toJSON() & fromJSON()", function () {
+        it("round-trips assets", function () {
+            var issuer = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+            var assets = [
+                [StellarBase.Asset.native(), {type: "native"}],
+                [new StellarBase.Asset("USD", issuer), {type: "credit_alphanum4", code: "USD", issuer}],
+                [new StellarBase.Asset("123456789012", issuer), {type: "credit_alphanum12", code: "123456789012", issuer}]
+            ];
+
+            assets.forEach(([asset, json]) => {
+                expect(asset.toJSON()).to.be.deep.equal(json);
+                expect(StellarBase.Asset.fromJSON(json).equals(asset)).to.be.true;
+            });
+        });
+
+        it("throws when the code does not match the type", function () {
+            var json = {type: "credit_alphanum12", code: "USD", issuer: "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ"};
+            expect(() => StellarBase.Asset.fromJSON(json)).to.throw(/does not match asset type/);
+        });
+    });
 });
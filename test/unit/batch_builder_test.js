@@ -0,0 +1,61 @@
+describe('BatchBuilder', function() {
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let source;
+
+  function payments(count) {
+    let result = [];
+    for (let i = 0; i < count; i++) {
+      result.push(StellarBase.Operation.payment({destination, amount: "1"}));
+    }
+    return result;
+  }
+
+  beforeEach(function() {
+    source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "10", "100");
+  });
+
+  it("splits operations into transactions with consecutive sequence numbers", function() {
+    let transactions = new StellarBase.BatchBuilder(source, {maxOperations: 2, memo: StellarBase.Memo.text("payroll")})
+      .addOperations(payments(5))
+      .build();
+
+    expect(transactions.map(tx => tx.sequence)).to.be.deep.equal(["11", "12", "13"]);
+    expect(transactions.map(tx => tx.operations.length)).to.be.deep.equal([2, 2, 1]);
+    expect(transactions.map(tx => tx.fee)).to.be.deep.equal([200, 200, 100]);
+    expect(transactions[2].memo.value).to.be.equal("payroll");
+    expect(source.sequenceNumber()).to.be.equal("13");
+  });
+
+  it("uses 100 operations per transaction by default", function() {
+    let transactions = new StellarBase.BatchBuilder(source).addOperations(payments(150)).build();
+    expect(transactions.map(tx => tx.operations.length)).to.be.deep.equal([100, 50]);
+  });
+
+  it("raises fees of transactions following a setFee operation", function() {
+    let operations = payments(1)
+      .concat([StellarBase.Operation.setFee({baseFee: 300})])
+      .concat(payments(2));
+    let transactions = new StellarBase.BatchBuilder(source, {maxOperations: 2}).addOperations(operations).build();
+    expect(transactions.map(tx => tx.fee)).to.be.deep.equal([200, 600]);
+  });
+
+  it("does not change the sequence number when a transaction is invalid", function() {
+    let operations = payments(3).concat([{}]);
+    let builder = new StellarBase.BatchBuilder(source, {maxOperations: 2}).addOperations(operations);
+    try {
+      builder.build();
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.match(/^Invalid transaction 1: operation 1 is invalid/);
+      expect(e.index).to.be.equal(1);
+      expect(e.errors[0].code).to.be.equal("INVALID_OPERATION");
+    }
+    expect(source.sequenceNumber()).to.be.equal("10");
+  });
+
+  it("validates options", function() {
+    expect(() => new StellarBase.BatchBuilder(source, {maxOperations: 101})).to.throw(/maxOperations must be an integer between 1 and 100/);
+    expect(() => new StellarBase.BatchBuilder(source, {maxOperations: 0})).to.throw(/maxOperations must be an integer between 1 and 100/);
+    expect(() => new StellarBase.BatchBuilder(source).build()).to.throw(/batch must contain at least one operation/);
+  });
+});
@@ -0,0 +1,72 @@
+describe('ChannelPool', function() {
+  let funding = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let channelA, channelB, pool;
+
+  function payment(opts={}) {
+    return StellarBase.Operation.payment(Object.assign({destination, amount: "10"}, opts));
+  }
+
+  beforeEach(function() {
+    channelA = new StellarBase.Account(StellarBase.Keypair.random().publicKey(), "100", "100");
+    channelB = new StellarBase.Account(StellarBase.Keypair.random().publicKey(), "200", "100");
+    pool = new StellarBase.ChannelPool(funding, [channelA, channelB]);
+  });
+
+  it("leases and releases channel accounts", function() {
+    expect(pool.lease()).to.be.equal(channelA);
+    expect(pool.lease()).to.be.equal(channelB);
+    expect(() => pool.lease()).to.throw(/All channel accounts are leased/);
+    expect(pool.leased()).to.be.deep.equal([channelA, channelB]);
+
+    pool.release(channelB.accountId());
+    expect(pool.available()).to.be.deep.equal([channelB]);
+    expect(pool.lease()).to.be.equal(channelB);
+
+    expect(() => pool.release(funding)).to.throw(/is not a channel account of this pool/);
+    pool.release(channelA);
+    expect(() => pool.release(channelA)).to.throw(/is not leased/);
+  });
+
+  it("builds transactions from channels with the funding account as operations source", function() {
+    let operation = payment();
+    let first = pool.build([operation, payment({source: destination})]);
+    let second = pool.build([payment()]);
+
+    expect(first.channel).to.be.equal(channelA);
+    expect(first.transaction.source).to.be.equal(channelA.accountId());
+    expect(first.transaction.sequence).to.be.equal("101");
+    expect(first.transaction.operations[0].source).to.be.equal(funding);
+    expect(first.transaction.operations[1].source).to.be.equal(destination);
+    expect(operation.sourceAccount()).to.be.undefined;
+
+    expect(second.channel).to.be.equal(channelB);
+    expect(second.transaction.sequence).to.be.equal("201");
+
+    pool.release(first.channel);
+    expect(pool.build([payment()]).transaction.sequence).to.be.equal("102");
+  });
+
+  it("rewinds sequence numbers of failed transactions", function() {
+    let {channel} = pool.build([payment()]);
+    expect(channel.sequenceNumber()).to.be.equal("101");
+    pool.rewind(channel);
+    expect(channel.sequenceNumber()).to.be.equal("100");
+
+    pool.build([payment()]);
+    pool.rewind(channelA, "105");
+    expect(channelA.sequenceNumber()).to.be.equal("105");
+    expect(pool.available().length).to.be.equal(2);
+
+    expect(() => pool.build([])).to.throw(/Invalid transaction/);
+    expect(channelA.sequenceNumber()).to.be.equal("105");
+    expect(pool.available().length).to.be.equal(2);
+  });
+
+  it("validates channel accounts", function() {
+    expect(() => new StellarBase.ChannelPool(funding, [])).to.throw(/at least one channel account is required/);
+    expect(() => new StellarBase.ChannelPool(funding, [new StellarBase.Account(funding, "1")])).to.throw(/funding account cannot be a channel account/);
+    expect(() => new StellarBase.ChannelPool(funding, [channelA, channelA])).to.throw(/Duplicate channel account/);
+    expect(() => new StellarBase.ChannelPool("GABC", [channelA])).to.throw(/fundingAccountId is invalid/);
+  });
+});
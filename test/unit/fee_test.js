@@ -0,0 +1,70 @@
+describe('Fee', function() {
+  let Fee = StellarBase.Fee;
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+  function payment() {
+    return StellarBase.Operation.payment({destination, amount: "1"});
+  }
+
+  afterEach(function() {
+    StellarBase.Network.use(null);
+    StellarBase.Network.unregister("humaniq-test");
+  });
+
+  it("computes the minimum fee", function() {
+    expect(Fee.minimum(3, 100)).to.be.equal(300);
+    expect(Fee.minimum([payment(), payment()], 150)).to.be.equal(300);
+    expect(() => Fee.minimum(100, 50000000)).to.throw(/does not fit in uint32/);
+  });
+
+  it("reads the base fee from accounts and networks", function() {
+    let account = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0", "250");
+    expect(Fee.minimum(2, account)).to.be.equal(500);
+
+    let network = StellarBase.Network.register("humaniq-test", {passphrase: "Humaniq Test Network ; 2018", baseFee: 10});
+    expect(Fee.minimum(2, network)).to.be.equal(20);
+
+    StellarBase.Network.use("humaniq-test");
+    expect(Fee.minimum(2)).to.be.equal(20);
+
+    StellarBase.Network.useTestNetwork();
+    expect(() => Fee.minimum(2)).to.throw(/A base fee \(non-negative integer\) is required/);
+  });
+
+  it("validates fee overrides", function() {
+    expect(Fee.validate(300, 3, 100)).to.be.equal(300);
+    expect(Fee.validate(1000, 3, 100)).to.be.equal(1000);
+    expect(() => Fee.validate(299, 3, 100)).to.throw(/fee 299 is lower than the minimum fee 300/);
+    expect(() => Fee.validate(-1, 3, 100)).to.throw(/fee must be an integer/);
+    expect(() => Fee.validate(0x100000000, 3, 100)).to.throw(/fee must be an integer/);
+  });
+
+  it("returns the base fee set by setFee operations", function() {
+    let operations = [payment(), StellarBase.Operation.setFee({baseFee: 300}), payment()];
+    expect(Fee.baseFeeAfter(operations, 100)).to.be.equal(300);
+    expect(Fee.baseFeeAfter([payment()], 100)).to.be.equal(100);
+    expect(Fee.baseFeeAfter([{type: "setFee", baseFee: 50}], 100)).to.be.equal(50);
+  });
+
+  it("computes fees of consecutive transactions", function() {
+    let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0", "100");
+    let raise = new StellarBase.TransactionBuilder(source)
+      .addOperation(StellarBase.Operation.setFee({baseFee: 300}))
+      .build();
+
+    let fees = Fee.forTransactions([
+      [payment(), payment()],
+      raise,
+      [payment()],
+      [StellarBase.Operation.setFee({baseFee: 50})],
+      [payment()]
+    ], 100);
+    expect(fees).to.be.deep.equal([
+      {baseFee: 100, fee: 200},
+      {baseFee: 100, fee: 100},
+      {baseFee: 300, fee: 300},
+      {baseFee: 300, fee: 300},
+      {baseFee: 300, fee: 300}
+    ]);
+  });
+});
@@ -149,3 +149,43 @@ describe('Keypair.random', function() {
   });
 
 });
+
+describe('Keypair.master', function() {
+
+  afterEach(function() {
+    StellarBase.Network.use(null);
+  });
+
+  it("throws an error if no network is selected", function() {
+    StellarBase.Network.use(null);
+    expect(() => StellarBase.Keypair.master()).to.throw(/No network selected/);
+  });
+
+  it("uses the current network", function() {
+    StellarBase.Network.useTestNetwork();
+    let expected = StellarBase.Keypair.fromRawEd25519Seed(StellarBase.hash(StellarBase.Networks.TESTNET));
+    expect(StellarBase.Keypair.master().publicKey()).to.be.equal(expected.publicKey());
+  });
+
+  it("uses the master key of a registered network", function() {
+    let master = StellarBase.Keypair.random();
+    StellarBase.Network.register("humaniq-test", {passphrase: "Humaniq Test Network ; 2018", masterKey: master.secret()});
+    StellarBase.Network.register("humaniq-public", {passphrase: "Humaniq Network ; 2018", masterKey: master.publicKey()});
+
+    expect(StellarBase.Keypair.master(StellarBase.Network.from("humaniq-test")).secret()).to.be.equal(master.secret());
+    expect(StellarBase.Keypair.master(StellarBase.Network.from("humaniq-public")).publicKey()).to.be.equal(master.publicKey());
+    expect(StellarBase.Keypair.master("humaniq-test").secret()).to.be.equal(master.secret());
+    expect(StellarBase.Keypair.master("humaniq-public").publicKey()).to.be.equal(master.publicKey());
+    expect(StellarBase.Keypair.master("Humaniq Network ; 2018").canSign()).to.be.false;
+
+    StellarBase.Network.unregister("humaniq-test");
+    StellarBase.Network.unregister("humaniq-public");
+  });
+
+  it("uses the given network passphrase", function() {
+    StellarBase.Network.useTestNetwork();
+    let expected = StellarBase.Keypair.fromRawEd25519Seed(StellarBase.hash(StellarBase.Networks.PUBLIC));
+    expect(StellarBase.Keypair.master(StellarBase.Networks.PUBLIC).publicKey()).to.be.equal(expected.publicKey());
+  });
+
+});
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+
+describe('LedgerEntry', function() {
+  let xdr = StellarBase.xdr;
+  let accountId = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+  let signerKey = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd = new StellarBase.Asset("USD", "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB");
+
+  function xdrAccountId(address) {
+    return StellarBase.Keypair.fromPublicKey(address).xdrAccountId();
+  }
+
+  function ledgerEntry(type, value) {
+    return new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: 42,
+      data: xdr.LedgerEntryData[type](value),
+      ext: new xdr.LedgerEntryExt(0)
+    });
+  }
+
+  it("decodes an account entry", function() {
+    let hash = crypto.createHash('sha256').update("Hash Preimage").digest();
+    let account = new xdr.AccountEntry({
+      accountId: xdrAccountId(accountId),
+      accountType: xdr.AccountType.accountAgent().value,
+      balance: StellarBase.Hyper.fromString("1000000000"),
+      seqNum: xdr.SequenceNumber.fromString("12884901889"),
+      numSubEntries: 1,
+      inflationDest: xdrAccountId(signerKey),
+      flags: StellarBase.AuthRequiredFlag | StellarBase.BlockIncomingFlag,
+      homeDomain: "humaniq.com",
+      thresholds: new Buffer([1, 2, 3, 4]),
+      signers: [
+        new xdr.Signer({
+          key: xdr.SignerKey.signerKeyTypeEd25519(StellarBase.StrKey.decodeEd25519PublicKey(signerKey)),
+          weight: 5,
+          signerType: xdr.SignerType.signerAdmin().value
+        }),
+        new xdr.Signer({
+          key: xdr.SignerKey.signerKeyTypeHashX(hash),
+          weight: 1,
+          signerType: xdr.SignerType.signerGeneral().value
+        })
+      ],
+      ext: new xdr.AccountEntryExt(0)
+    });
+
+    let entry = StellarBase.LedgerEntry.fromXDRObject(ledgerEntry("account", account).toXDR('base64'));
+    expect(entry.type).to.be.equal("account");
+    expect(entry.lastModifiedLedgerSeq).to.be.equal(42);
+    expect(entry.accountId).to.be.equal(accountId);
+    expect(entry.accountType).to.be.equal(StellarBase.AccountType.AGENT);
+    expect(entry.balance).to.be.equal("100");
+    expect(entry.sequence).to.be.equal("12884901889");
+    expect(entry.numSubEntries).to.be.equal(1);
+    expect(entry.inflationDest).to.be.equal(signerKey);
+    expect(entry.flags).to.be.deep.equal({
+      authRequired: true,
+      authRevocable: false,
+      authImmutable: false,
+      blockIncoming: true,
+      blockOutgoing: false
+    });
+    expect(entry.homeDomain).to.be.equal("humaniq.com");
+    expect(entry.thresholds).to.be.deep.equal({masterWeight: 1, low: 2, med: 3, high: 4});
+    expect(entry.signers.length).to.be.equal(2);
+    expect(entry.signers[0]).to.be.deep.equal({
+      ed25519PublicKey: signerKey,
+      weight: 5,
+      signerType: StellarBase.SignerType.ADMIN
+    });
+    expect(entry.signers[1].sha256Hash.toString('hex')).to.be.equal(hash.toString('hex'));
+  });
+
+  it("decodes trust line, offer and data entries", function() {
+    let trustLine = StellarBase.LedgerEntry.fromXDRObject(ledgerEntry("trustline", new xdr.TrustLineEntry({
+      accountId: xdrAccountId(accountId),
+      asset: usd.toXDRObject(),
+      balance: StellarBase.Hyper.fromString("25000000"),
+      limit: StellarBase.Hyper.fromString("1000000000"),
+      flags: 1,
+      ext: new xdr.TrustLineEntryExt(0)
+    })));
+    expect(trustLine.type).to.be.equal("trustline");
+    expect(trustLine.asset.equals(usd)).to.be.true;
+    expect(trustLine.balance).to.be.equal("2.5");
+    expect(trustLine.limit).to.be.equal("100");
+    expect(trustLine.authorized).to.be.true;
+
+    let offer = StellarBase.LedgerEntry.fromXDRObject(ledgerEntry("offer", new xdr.OfferEntry({
+      sellerId: xdrAccountId(accountId),
+      offerId: StellarBase.UnsignedHyper.fromString("7"),
+      selling: usd.toXDRObject(),
+      buying: StellarBase.Asset.native().toXDRObject(),
+      amount: StellarBase.Hyper.fromString("10000000"),
+      price: new xdr.Price({n: 1, d: 4}),
+      flags: 0,
+      ext: new xdr.OfferEntryExt(0)
+    })));
+    expect(offer.type).to.be.equal("offer");
+    expect(offer.sellerId).to.be.equal(accountId);
+    expect(offer.offerId).to.be.equal("7");
+    expect(offer.price).to.be.equal("0.25");
+    expect(offer.passive).to.be.false;
+
+    let data = StellarBase.LedgerEntry.fromXDRObject(ledgerEntry("datum", new xdr.DataEntry({
+      accountId: xdrAccountId(accountId),
+      dataName: "name",
+      dataValue: new Buffer("value"),
+      ext: new xdr.DataEntryExt(0)
+    })));
+    expect(data.type).to.be.equal("data");
+    expect(data.name).to.be.equal("name");
+    expect(data.value.toString()).to.be.equal("value");
+  });
+
+  it("decodes ledger keys", function() {
+    let key = xdr.LedgerKey.trustline(new xdr.LedgerKeyTrustLine({
+      accountId: xdrAccountId(accountId),
+      asset: usd.toXDRObject()
+    }));
+    let result = StellarBase.LedgerEntry.keyFromXDRObject(key);
+    expect(result.type).to.be.equal("trustline");
+    expect(result.accountId).to.be.equal(accountId);
+    expect(result.asset.equals(usd)).to.be.true;
+  });
+});
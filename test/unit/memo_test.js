@@ -137,3 +137,22 @@ describe("Memo.hash() & Memo.return()", function() {
     }
   });
 });
+
+describe("Memo.toJSON() & Memo.fromJSON()", function() {
+  it("round-trips every memo type", function() {
+    let hash = "ff00000000000000000000000000000000000000000000000000000000000001";
+    let memos = [
+      [StellarBase.Memo.none(), {type: "none", value: null}],
+      [StellarBase.Memo.text("Happy birthday!"), {type: "text", value: "Happy birthday!"}],
+      [StellarBase.Memo.id("18446744073709551615"), {type: "id", value: "18446744073709551615"}],
+      [StellarBase.Memo.hash(hash), {type: "hash", value: hash}],
+      [StellarBase.Memo.return(hash), {type: "return", value: hash}]
+    ];
+
+    memos.forEach(([memo, json]) => {
+      expect(memo.toJSON()).to.be.deep.equal(json);
+      let decoded = StellarBase.Memo.fromJSON(JSON.parse(JSON.stringify(memo)));
+      expect(decoded.toXDRObject().toXDR('hex')).to.be.equal(memo.toXDRObject().toXDR('hex'));
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+
+describe('Multisig', function() {
+  let Multisig = StellarBase.Multisig;
+  let master = StellarBase.Keypair.random();
+  let admin = StellarBase.Keypair.random();
+  let emission = StellarBase.Keypair.random();
+  let other = StellarBase.Keypair.random();
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+  beforeEach(function() {
+    StellarBase.Network.useTestNetwork();
+  });
+
+  afterEach(function() {
+    StellarBase.Network.use(null);
+  });
+
+  function account(overrides = {}) {
+    return Object.assign({
+      accountId: master.publicKey(),
+      thresholds: {masterWeight: 1, low: 1, med: 2, high: 3},
+      signers: [
+        {ed25519PublicKey: admin.publicKey(), weight: 2, signerType: StellarBase.SignerType.ADMIN},
+        {ed25519PublicKey: emission.publicKey(), weight: 1, signerType: StellarBase.SignerType.EMISSION}
+      ]
+    }, overrides);
+  }
+
+  function transaction(...operations) {
+    let source = new StellarBase.Account(master.publicKey(), "0", "100");
+    let builder = new StellarBase.TransactionBuilder(source);
+    operations.forEach(op => builder.addOperation(op));
+    return builder.build();
+  }
+
+  function payment() {
+    return StellarBase.Operation.payment({destination, amount: "10"});
+  }
+
+  it("returns the threshold of operations", function() {
+    expect(Multisig.operationThreshold(payment())).to.be.equal("med");
+    expect(Multisig.operationThreshold(StellarBase.Operation.inflation())).to.be.equal("low");
+    expect(Multisig.operationThreshold(StellarBase.Operation.accountMerge({destination}))).to.be.equal("high");
+    expect(Multisig.operationThreshold(StellarBase.Operation.setOptions({homeDomain: "humaniq.com"}))).to.be.equal("med");
+    expect(Multisig.operationThreshold(StellarBase.Operation.setOptions({highThreshold: 2}))).to.be.equal("high");
+    expect(Multisig.operationThreshold({type: "allowTrust"})).to.be.equal("low");
+  });
+
+  it("sums the weights of signers that signed the transaction", function() {
+    let tx = transaction(payment());
+    tx.sign(master, admin, other);
+
+    let {weight, signers} = Multisig.signingWeight(tx, account());
+    expect(weight).to.be.equal(3);
+    expect(signers).to.be.deep.equal([
+      {ed25519PublicKey: master.publicKey(), weight: 1},
+      {ed25519PublicKey: admin.publicKey(), weight: 2, signerType: StellarBase.SignerType.ADMIN}
+    ]);
+  });
+
+  it("ignores signatures of another transaction", function() {
+    let tx = transaction(payment());
+    let signed = transaction(payment(), payment());
+    signed.sign(master);
+    tx.signatures = signed.signatures;
+
+    expect(Multisig.signingWeight(tx, account()).weight).to.be.equal(0);
+  });
+
+  it("ignores malformed signatures", function() {
+    let tx = transaction(payment());
+    tx.sign(admin);
+    tx.signatures.push(new StellarBase.xdr.DecoratedSignature({hint: master.signatureHint(), signature: new Buffer([1, 2, 3])}));
+
+    expect(Multisig.signingWeight(tx, account()).weight).to.be.equal(2);
+  });
+
+  it("counts hashX and preAuthTx signers", function() {
+    let preimage = crypto.randomBytes(32);
+    let tx = transaction(payment());
+    tx.signHashX(preimage);
+
+    let signers = [
+      {sha256Hash: StellarBase.hash(preimage), weight: 1, signerType: StellarBase.SignerType.GENERAL},
+      {preAuthTx: tx.hash(), weight: 1, signerType: StellarBase.SignerType.GENERAL}
+    ];
+    expect(Multisig.signingWeight(tx, account({signers})).weight).to.be.equal(2);
+  });
+
+  it("accepts XDR signers", function() {
+    let tx = transaction(payment());
+    tx.sign(emission);
+
+    let signers = [new StellarBase.xdr.Signer({
+      key: StellarBase.xdr.SignerKey.signerKeyTypeEd25519(emission.rawPublicKey()),
+      weight: 4,
+      signerType: StellarBase.xdr.SignerType.signerEmission().value
+    })];
+    let {weight, signers: matched} = Multisig.signingWeight(tx, account({signers}));
+    expect(weight).to.be.equal(4);
+    expect(matched[0].signerType).to.be.equal(StellarBase.SignerType.EMISSION);
+  });
+
+  it("checks every operation against its threshold", function() {
+    let tx = transaction(payment(), StellarBase.Operation.setOptions({highThreshold: 2}));
+    tx.sign(admin);
+
+    let result = Multisig.evaluate(tx, account());
+    expect(result.transaction.ready).to.be.true;
+    expect(result.operations.map(op => [op.type, op.threshold, op.required, op.weight, op.ready])).to.be.deep.equal([
+      ["payment", "med", 2, 2, true],
+      ["setOptions", "high", 3, 2, false]
+    ]);
+    expect(result.ready).to.be.false;
+
+    tx.sign(master);
+    expect(Multisig.evaluate(tx, account()).ready).to.be.true;
+  });
+
+  it("checks operations against their own source account", function() {
+    let tx = transaction(StellarBase.Operation.payment({destination, amount: "10", source: other.publicKey()}));
+    tx.sign(master);
+
+    let otherAccount = account({
+      accountId: other.publicKey(),
+      thresholds: {masterWeight: 1, low: 0, med: 0, high: 0},
+      signers: []
+    });
+    let result = Multisig.evaluate(tx, [account(), otherAccount]);
+    expect(result.transaction.ready).to.be.true;
+    expect(result.operations[0].source).to.be.equal(other.publicKey());
+    expect(result.operations[0].ready).to.be.false;
+
+    tx.sign(other);
+    expect(Multisig.evaluate(tx, [account(), otherAccount]).ready).to.be.true;
+  });
+
+  it("accepts accounts created from ledger entries", function() {
+    let entry = new StellarBase.xdr.AccountEntry({
+      accountId: master.xdrAccountId(),
+      accountType: 0,
+      balance: StellarBase.Hyper.fromString("0"),
+      seqNum: StellarBase.xdr.SequenceNumber.fromString("0"),
+      numSubEntries: 0,
+      flags: 0,
+      homeDomain: "",
+      thresholds: new Buffer([0, 1, 1, 1]),
+      signers: [],
+      ext: new StellarBase.xdr.AccountEntryExt(0)
+    });
+    let tx = transaction(payment());
+    tx.sign(master);
+
+    let result = Multisig.evaluate(tx, StellarBase.Account.fromLedgerEntry(entry));
+    expect(result.transaction.weight).to.be.equal(0);
+    expect(result.ready).to.be.false;
+  });
+
+  it("requires every source account", function() {
+    let tx = transaction(StellarBase.Operation.payment({destination, amount: "10", source: other.publicKey()}));
+    expect(() => Multisig.evaluate(tx, account())).to.throw(/Thresholds and signers of account/);
+  });
+
+  describe("mergeSignatures", function() {
+    it("merges signatures of the same transaction without duplicates", function() {
+      let unsigned = transaction(payment()).toEnvelope().toXDR('base64');
+      let first = new StellarBase.Transaction(unsigned);
+      first.sign(master, admin);
+      let second = new StellarBase.Transaction(unsigned);
+      second.sign(admin, emission);
+
+      let merged = Multisig.mergeSignatures([first.toEnvelope().toXDR('base64'), second, unsigned]);
+      expect(merged.signatures.length).to.be.equal(3);
+      expect(merged.verifySignatures([master, admin, emission]).valid).to.be.true;
+      expect(Multisig.evaluate(merged, account()).ready).to.be.true;
+      expect(first.signatures.length).to.be.equal(2);
+    });
+
+    it("hashes envelopes for the network of the first transaction", function() {
+      StellarBase.Network.use(null);
+      let bound = new StellarBase.Transaction(transaction(payment()).toEnvelope(), StellarBase.Networks.TESTNET);
+      let other = new StellarBase.Transaction(bound.toEnvelope(), StellarBase.Networks.TESTNET);
+      bound.sign(master);
+      other.sign(admin);
+
+      let merged = Multisig.mergeSignatures([bound, other.toEnvelope().toXDR('base64')]);
+      expect(merged.networkPassphrase).to.be.equal(StellarBase.Networks.TESTNET);
+      expect(merged.signatures.length).to.be.equal(2);
+      expect(merged.verifySignatures([master, admin]).valid).to.be.true;
+
+      StellarBase.Network.usePublicNetwork();
+      expect(Multisig.mergeSignatures([bound, other.toEnvelope()]).signatures.length).to.be.equal(2);
+    });
+
+    it("fails when envelopes are of different transactions", function() {
+      let first = transaction(payment());
+      let second = transaction(StellarBase.Operation.payment({destination, amount: "20"}));
+      expect(() => Multisig.mergeSignatures([first, second])).to.throw(/Transaction 1 has hash [0-9a-f]{64}, expected [0-9a-f]{64}/);
+
+      let envelope = second.toEnvelope().toXDR('base64');
+      expect(() => Multisig.mergeSignatures([first, envelope], StellarBase.Networks.PUBLIC)).to.throw(/envelopes are not of the same transaction/);
+      expect(() => Multisig.mergeSignatures([])).to.throw(/At least one transaction is required/);
+    });
+  });
+});
@@ -17,3 +17,72 @@ describe("Network.usePublicNetwork()", function() {
     expect(StellarBase.Network.current().networkPassphrase()).to.equal(StellarBase.Networks.PUBLIC)
   });
 });
+
+describe("Network.register()", function() {
+  let passphrase = "Humaniq Test Network ; 2018";
+
+  afterEach(function() {
+    StellarBase.Network.unregister("humaniq-test");
+    StellarBase.Network.use(null);
+  });
+
+  it("registers a network", function() {
+    let network = StellarBase.Network.register("humaniq-test", {passphrase, baseFee: 200});
+    expect(network.name()).to.equal("humaniq-test");
+    expect(network.networkPassphrase()).to.equal(passphrase);
+    expect(network.baseFee()).to.equal(200);
+    expect(StellarBase.Network.registered()).to.include(network);
+  });
+
+  it("looks up networks by name or ID", function() {
+    let network = StellarBase.Network.register("humaniq-test", {passphrase});
+    expect(StellarBase.Network.get("humaniq-test")).to.equal(network);
+    expect(StellarBase.Network.get(network.networkId())).to.equal(network);
+    expect(StellarBase.Network.get(network.networkId().toString("hex"))).to.equal(network);
+    expect(StellarBase.Network.get("unknown")).to.be.null;
+  });
+
+  it("contains the public and test networks", function() {
+    expect(StellarBase.Network.get("public").networkPassphrase()).to.equal(StellarBase.Networks.PUBLIC);
+    expect(StellarBase.Network.get("testnet").networkPassphrase()).to.equal(StellarBase.Networks.TESTNET);
+  });
+
+  it("resolves networks from names and IDs", function() {
+    let network = StellarBase.Network.register("humaniq-test", {passphrase});
+    expect(StellarBase.Network.from("humaniq-test")).to.equal(network);
+    expect(StellarBase.Network.from(network.networkId())).to.equal(network);
+    expect(StellarBase.Network.from(network)).to.equal(network);
+    expect(() => StellarBase.Network.from("tesnet")).to.throw(/Unknown network: tesnet/);
+    expect(() => StellarBase.Network.from(passphrase)).to.throw(/Unknown network/);
+  });
+
+  it("resolves networks from passphrases", function() {
+    let network = StellarBase.Network.register("humaniq-test", {passphrase});
+    expect(StellarBase.Network.fromPassphrase(passphrase)).to.equal(network);
+    expect(StellarBase.Network.fromPassphrase("Other Network").networkPassphrase()).to.equal("Other Network");
+    expect(StellarBase.Network.fromPassphrase("Other Network").name()).to.be.null;
+  });
+
+  it("resolves networks from names, IDs and passphrases", function() {
+    let network = StellarBase.Network.register("humaniq-test", {passphrase});
+    expect(StellarBase.Network.resolve("humaniq-test")).to.equal(network);
+    expect(StellarBase.Network.resolve(network.networkId())).to.equal(network);
+    expect(StellarBase.Network.resolve(passphrase)).to.equal(network);
+    expect(StellarBase.Network.resolve(network)).to.equal(network);
+    expect(StellarBase.Network.resolve("Other Network").networkPassphrase()).to.equal("Other Network");
+  });
+
+  it("uses a registered network by name", function() {
+    let network = StellarBase.Network.register("humaniq-test", {passphrase});
+    StellarBase.Network.use("humaniq-test");
+    expect(StellarBase.Network.current()).to.equal(network);
+    expect(() => StellarBase.Network.use("unknown")).to.throw(/Unknown network/);
+  });
+
+  it("validates options", function() {
+    expect(() => StellarBase.Network.register("", {passphrase})).to.throw(/name must be a non-empty string/);
+    expect(() => StellarBase.Network.register("humaniq-test", {})).to.throw(/passphrase must be a non-empty string/);
+    expect(() => StellarBase.Network.register("humaniq-test", {passphrase, baseFee: -1})).to.throw(/baseFee must be a non-negative integer/);
+    expect(() => StellarBase.Network.register("humaniq-test", {passphrase, masterKey: "GBBB"})).to.throw(/masterKey must be a public key or a secret seed/);
+  });
+});
@@ -8,7 +8,7 @@ describe('Operation', function() {
         it("creates a createAccountOp", function () {
             var destination = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
             var startingBalance = '1000';
-            var accountType = StellarBase.xdr.AccountType.accountAnonymousUser().value;
+            var accountType = StellarBase.AccountType.ANONYMOUS_USER;
             let op = StellarBase.Operation.createAccount({destination, startingBalance, accountType});
             var xdr = op.toXDR("hex");
             var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
@@ -20,11 +20,34 @@ describe('Operation', function() {
             expect(obj.startingBalance).to.be.equal(startingBalance);
         });
 
+        it("accepts a raw accountType value", function () {
+            let opts = {
+                destination: "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ",
+                startingBalance: '20',
+                accountType: 2
+            };
+            let op = StellarBase.Operation.createAccount(opts);
+            expect(op.body().value().body().switch()).to.be.equal(StellarBase.xdr.AccountType.accountMaster());
+            var obj = StellarBase.Operation.fromXDRObject(op);
+            expect(obj.accountType).to.be.equal(StellarBase.AccountType.MASTER);
+        });
+
+        it("fails to create createAccount operation with an unknown accountType", function () {
+            ["ACCOUNT_MASTER", 3, undefined].forEach(accountType => {
+                let opts = {
+                    destination: "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ",
+                    startingBalance: '20',
+                    accountType
+                };
+                expect(() => StellarBase.Operation.createAccount(opts)).to.throw(/Must provide an accountType/);
+            });
+        });
+
         it("fails to create createAccount operation with an invalid destination address", function () {
             let opts = {
                 destination: 'GCEZW',
                 startingBalance: '20',
-                accountType: StellarBase.xdr.AccountType.accountAnonymousUser().value,
+                accountType: StellarBase.AccountType.ANONYMOUS_USER,
                 source: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ'
             };
             expect(() => StellarBase.Operation.createAccount(opts)).to.throw(/destination is invalid/)
@@ -34,7 +57,7 @@ describe('Operation', function() {
             let opts = {
                 destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
                 startingBalance: 20,
-                accountType: StellarBase.xdr.AccountType.accountAnonymousUser().value,
+                accountType: StellarBase.AccountType.ANONYMOUS_USER,
                 source: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ'
             };
             expect(() => StellarBase.Operation.createAccount(opts)).to.throw(/startingBalance argument must be of type String, represent a positive number and have at most 7 digits after the decimal/)
@@ -44,7 +67,7 @@ describe('Operation', function() {
             let opts = {
                 destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
                 startingBalance: '20',
-                accountType: StellarBase.xdr.AccountType.accountAnonymousUser().value,
+                accountType: StellarBase.AccountType.ANONYMOUS_USER,
                 source: 'GCEZ'
             };
             expect(() => StellarBase.Operation.createAccount(opts)).to.throw(/Source address is invalid/)
@@ -116,6 +139,38 @@ describe('Operation', function() {
             expect(obj.amount).to.be.equal(amount);
         });
 
+        it("creates a paymentOp with a credit asset", function () {
+            var destination = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+            var asset = new StellarBase.Asset("USDUSD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            var amount = "1000";
+            let op = StellarBase.Operation.payment({destination, asset, amount});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("payment");
+            expect(obj.destination).to.be.equal(destination);
+            expect(obj.asset.equals(asset)).to.be.true;
+            expect(obj.asset.getAssetType()).to.be.equal("credit_alphanum12");
+            expect(obj.amount).to.be.equal(amount);
+        });
+
+        it("defaults to the native asset", function () {
+            var destination = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+            var amount = "1000";
+            let op = StellarBase.Operation.payment({destination, amount});
+            var obj = StellarBase.Operation.fromXDRObject(op);
+            expect(obj.asset.isNative()).to.be.true;
+        });
+
+        it("fails to create payment operation with an invalid asset", function () {
+            let opts = {
+                destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
+                asset: 'USD',
+                amount: '20'
+            };
+            expect(() => StellarBase.Operation.payment(opts)).to.throw(/asset must be an Asset object/)
+        });
+
         it("fails to create payment operation with an invalid destination address", function () {
             let opts = {
                 destination: 'GCEZW',
@@ -135,6 +190,337 @@ describe('Operation', function() {
 
 
 
+    describe(".pathPayment()", function () {
+        it("creates a pathPaymentOp", function() {
+            var sendAsset = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            var sendMax = '3.007';
+            var destination = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+            var destAsset = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            var destAmount = '3.1415';
+            var path = [
+                new StellarBase.Asset('USD', 'GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB'),
+                new StellarBase.Asset('EUR', 'GDTNXRLOJD2YEBPKK7KCMR7J33AAG5VZXHAJTHIG736D6LVEFLLLKPDL')
+            ];
+            let op = StellarBase.Operation.pathPayment({sendAsset, sendMax, destination, destAsset, destAmount, path});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("pathPayment");
+            expect(obj.sendAsset.equals(sendAsset)).to.be.true;
+            expect(operation.body().value().sendMax().toString()).to.be.equal('30070000');
+            expect(obj.sendMax).to.be.equal(sendMax);
+            expect(obj.destination).to.be.equal(destination);
+            expect(obj.destAsset.equals(destAsset)).to.be.true;
+            expect(operation.body().value().destAmount().toString()).to.be.equal('31415000');
+            expect(obj.destAmount).to.be.equal(destAmount);
+            expect(obj.path.length).to.be.equal(2);
+            expect(obj.path[0].getCode()).to.be.equal('USD');
+            expect(obj.path[0].getIssuer()).to.be.equal('GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB');
+            expect(obj.path[1].getCode()).to.be.equal('EUR');
+            expect(obj.path[1].getIssuer()).to.be.equal('GDTNXRLOJD2YEBPKK7KCMR7J33AAG5VZXHAJTHIG736D6LVEFLLLKPDL');
+        });
+
+        it("creates a pathPaymentOp without a path", function() {
+            let opts = {
+                sendAsset: StellarBase.Asset.native(),
+                sendMax: '10',
+                destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
+                destAsset: StellarBase.Asset.native(),
+                destAmount: '10'
+            };
+            let op = StellarBase.Operation.pathPayment(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("pathPayment");
+            expect(obj.sendAsset.isNative()).to.be.true;
+            expect(obj.path).to.be.empty;
+        });
+
+        it("fails to create path payment operation without a sendAsset", function () {
+            let opts = {
+                sendMax: '20',
+                destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
+                destAsset: StellarBase.Asset.native(),
+                destAmount: '50'
+            };
+            expect(() => StellarBase.Operation.pathPayment(opts)).to.throw(/Must specify a send asset/)
+        });
+
+        it("fails to create path payment operation with an invalid destination address", function () {
+            let opts = {
+                sendAsset: StellarBase.Asset.native(),
+                sendMax: '20',
+                destination: 'GCEZW',
+                destAsset: StellarBase.Asset.native(),
+                destAmount: '50'
+            };
+            expect(() => StellarBase.Operation.pathPayment(opts)).to.throw(/destination is invalid/)
+        });
+
+        it("fails to create path payment operation with an invalid sendMax", function () {
+            let opts = {
+                sendAsset: StellarBase.Asset.native(),
+                sendMax: 20,
+                destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
+                destAsset: StellarBase.Asset.native(),
+                destAmount: '50'
+            };
+            expect(() => StellarBase.Operation.pathPayment(opts)).to.throw(/sendMax argument must be of type String/)
+        });
+
+        it("fails to create path payment operation with an invalid destAmount", function () {
+            let opts = {
+                sendAsset: StellarBase.Asset.native(),
+                sendMax: '20',
+                destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
+                destAsset: StellarBase.Asset.native(),
+                destAmount: 50
+            };
+            expect(() => StellarBase.Operation.pathPayment(opts)).to.throw(/destAmount argument must be of type String/)
+        });
+
+        it("fails to create path payment operation with more than 5 path hops", function () {
+            let opts = {
+                sendAsset: StellarBase.Asset.native(),
+                sendMax: '20',
+                destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
+                destAsset: StellarBase.Asset.native(),
+                destAmount: '50',
+                path: [1, 2, 3, 4, 5, 6].map(() => new StellarBase.Asset('USD', 'GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB'))
+            };
+            expect(() => StellarBase.Operation.pathPayment(opts)).to.throw(/path cannot contain more than 5 assets/)
+        });
+
+        it("fails to create path payment operation with a non-Asset path element", function () {
+            let opts = {
+                sendAsset: StellarBase.Asset.native(),
+                sendMax: '20',
+                destination: 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ',
+                destAsset: StellarBase.Asset.native(),
+                destAmount: '50',
+                path: ['USD']
+            };
+            expect(() => StellarBase.Operation.pathPayment(opts)).to.throw(/path must contain only Asset objects/)
+        });
+    });
+
+    describe(".manageOffer", function () {
+        it("creates a manageOfferOp (string price)", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.amount = '3.123456';
+            opts.price = '8.141592';
+            opts.offerId = '1';
+            let op = StellarBase.Operation.manageOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("manageOffer");
+            expect(obj.selling.equals(opts.selling)).to.be.true;
+            expect(obj.buying.equals(opts.buying)).to.be.true;
+            expect(operation.body().value().amount().toString()).to.be.equal('31234560');
+            expect(obj.amount).to.be.equal(opts.amount);
+            expect(obj.price).to.be.equal(opts.price);
+            expect(obj.offerId).to.be.equal(opts.offerId);
+        });
+
+        it("creates a manageOfferOp (price fraction)", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.amount = '3.123456';
+            opts.price = {
+                n: 11,
+                d: 10
+            };
+            opts.offerId = '1';
+            let op = StellarBase.Operation.manageOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(operation.body().value().price().n()).to.be.equal(11);
+            expect(operation.body().value().price().d()).to.be.equal(10);
+            expect(obj.price).to.be.equal(new BigNumber(opts.price.n).div(opts.price.d).toString());
+        });
+
+        it("creates a manageOfferOp (number price)", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.amount = '3.123456';
+            opts.price = 3.07;
+            opts.offerId = '1';
+            let op = StellarBase.Operation.manageOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("manageOffer");
+            expect(obj.price).to.be.equal(opts.price.toString());
+        });
+
+        it("creates a manageOfferOp with a 64 bit offerId", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = StellarBase.Asset.native();
+            opts.amount = '1';
+            opts.price = '1';
+            opts.offerId = '18446744073709551615';
+            let op = StellarBase.Operation.manageOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.offerId).to.be.equal(opts.offerId);
+        });
+
+        it("fails to create manageOffer operation with an invalid offerId", function () {
+            let opts = {
+                amount: '20',
+                price: '10',
+                selling: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7"),
+                buying: StellarBase.Asset.native()
+            };
+            let error = /offerId argument must be a non-negative integer not greater than 18446744073709551615/;
+            opts.offerId = '18446744073709551616';
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(error);
+            opts.offerId = '-1';
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(error);
+            opts.offerId = -1;
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(error);
+            opts.offerId = '1.5';
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(error);
+            opts.offerId = 1.5;
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(error);
+            opts.offerId = 'abc';
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(error);
+            opts.offerId = 42;
+            expect(StellarBase.Operation.fromXDRObject(StellarBase.Operation.manageOffer(opts)).offerId).to.be.equal('42');
+        });
+
+        it("creates an offer when offerId is not defined", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.amount = '3.123456';
+            opts.price = '8.141592';
+            let op = StellarBase.Operation.manageOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.offerId).to.be.equal('0');
+            expect(opts.offerId).to.be.undefined;
+        });
+
+        it("cancels offer", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.amount = '0';
+            opts.price = '3.07';
+            opts.offerId = '1';
+            let op = StellarBase.Operation.manageOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("manageOffer");
+            expect(obj.amount).to.be.equal('0');
+        });
+
+        it("fails to create manageOffer operation with an invalid amount", function () {
+            let opts = {
+                amount: 20,
+                price: '10',
+                selling: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7"),
+                buying: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7")
+            };
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(/amount argument must be of type String/)
+        });
+
+        it("fails to create manageOffer operation with missing price", function () {
+            let opts = {
+                amount: '20',
+                selling: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7"),
+                buying: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7")
+            };
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(/price argument is required/)
+        });
+
+        it("fails to create manageOffer operation with negative price", function () {
+            let opts = {
+                amount: '20',
+                price: '-1',
+                selling: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7"),
+                buying: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7")
+            };
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(/price must be positive/)
+        });
+
+        it("fails to create manageOffer operation without a selling asset", function () {
+            let opts = {
+                amount: '20',
+                price: '10',
+                buying: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7")
+            };
+            expect(() => StellarBase.Operation.manageOffer(opts)).to.throw(/Must provide a selling asset/)
+        });
+    });
+
+    describe(".createPassiveOffer", function () {
+        it("creates a createPassiveOfferOp (string price)", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.amount = '11.27827';
+            opts.price = '3.07';
+            let op = StellarBase.Operation.createPassiveOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("createPassiveOffer");
+            expect(obj.selling.equals(opts.selling)).to.be.true;
+            expect(obj.buying.equals(opts.buying)).to.be.true;
+            expect(operation.body().value().amount().toString()).to.be.equal('112782700');
+            expect(obj.amount).to.be.equal(opts.amount);
+            expect(obj.price).to.be.equal(opts.price);
+        });
+
+        it("creates a createPassiveOfferOp (price fraction)", function () {
+            var opts = {};
+            opts.selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.buying = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            opts.amount = '11.27827';
+            opts.price = {
+                n: 11,
+                d: 10
+            };
+            let op = StellarBase.Operation.createPassiveOffer(opts);
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.price).to.be.equal(new BigNumber(opts.price.n).div(opts.price.d).toString());
+        });
+
+        it("fails to create createPassiveOffer operation with a zero amount", function () {
+            let opts = {
+                amount: '0',
+                price: '10',
+                selling: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7"),
+                buying: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7")
+            };
+            expect(() => StellarBase.Operation.createPassiveOffer(opts)).to.throw(/amount argument must be of type String/)
+        });
+
+        it("fails to create createPassiveOffer operation with missing price", function () {
+            let opts = {
+                amount: '20',
+                selling: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7"),
+                buying: new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7")
+            };
+            expect(() => StellarBase.Operation.createPassiveOffer(opts)).to.throw(/price argument is required/)
+        });
+    });
+
     describe(".setOptions()", function () {
         it("auth flags are set correctly", function () {
             expect(StellarBase.AuthRequiredFlag).to.be.equal(1);
@@ -154,7 +540,7 @@ describe('Operation', function() {
 
             opts.signer = {
                 ed25519PublicKey: "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7",
-                signerType: StellarBase.xdr.SignerType.signerGeneral().value,
+                signerType: StellarBase.SignerType.GENERAL,
                 weight: 1
             };
             opts.homeDomain = "www.example.com";
@@ -185,7 +571,7 @@ describe('Operation', function() {
 
             opts.signer = {
                 preAuthTx: hash,
-                signerType: StellarBase.xdr.SignerType.signerGeneral().value,
+                signerType: StellarBase.SignerType.GENERAL,
                 weight: 10
             };
             
@@ -208,7 +594,7 @@ describe('Operation', function() {
 
             opts.signer = {
                 preAuthTx: hash,
-                signerType: StellarBase.xdr.SignerType.signerGeneral().value,
+                signerType: StellarBase.SignerType.GENERAL,
                 weight: 10
             };
 
@@ -229,7 +615,7 @@ describe('Operation', function() {
 
             opts.signer = {
                 sha256Hash: hash,
-                signerType: StellarBase.xdr.SignerType.signerGeneral().value,
+                signerType: StellarBase.SignerType.GENERAL,
                 weight: 10
             };
             
@@ -251,7 +637,7 @@ describe('Operation', function() {
 
             opts.signer = {
                 sha256Hash: hash,
-                signerType: StellarBase.xdr.SignerType.signerGeneral().value,
+                signerType: StellarBase.SignerType.GENERAL,
                 weight: 10
             };
 
@@ -316,19 +702,44 @@ describe('Operation', function() {
             let opts = {
                 signer: {
                     ed25519PublicKey: "GDGU5OAPHNPU5UCL",
-                    signerType: StellarBase.xdr.SignerType.signerGeneral().value,
+                    signerType: StellarBase.SignerType.GENERAL,
                     weight: 1
                 }
             };
             expect(() => StellarBase.Operation.setOptions(opts)).to.throw(/signer.ed25519PublicKey is invalid/)
         });
 
+        it("accepts a raw signerType value", function () {
+            let opts = {
+                signer: {
+                    ed25519PublicKey: "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7",
+                    signerType: 3,
+                    weight: 1
+                }
+            };
+            let op = StellarBase.Operation.setOptions(opts);
+            expect(op.body().value().signer().signerType()).to.be.equal(StellarBase.xdr.SignerType.signerCommission().value);
+            var obj = StellarBase.Operation.fromXDRObject(op);
+            expect(obj.signer.signerType).to.be.equal(StellarBase.SignerType.COMMISSION);
+        });
+
+        it("fails to create setOptions operation with an unknown signerType", function () {
+            let opts = {
+                signer: {
+                    ed25519PublicKey: "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7",
+                    signerType: "OWNER",
+                    weight: 1
+                }
+            };
+            expect(() => StellarBase.Operation.setOptions(opts)).to.throw(/Must provide a valid signerType/)
+        });
+
         it("fails to create setOptions operation with multiple signer values", function () {
             let opts = {
                 signer: {
                     ed25519PublicKey: "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7",
                     sha256Hash: new Buffer(32),
-                    signerType: StellarBase.xdr.SignerType.signerGeneral().value,
+                    signerType: StellarBase.SignerType.GENERAL,
                     weight: 1
                 }
             };
@@ -371,6 +782,107 @@ describe('Operation', function() {
         });
     });
 
+    describe(".changeTrust()", function () {
+        it("creates a changeTrustOp", function () {
+            let asset = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            let op = StellarBase.Operation.changeTrust({asset: asset});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("changeTrust");
+            expect(obj.line.equals(asset)).to.be.true;
+            expect(operation.body().value().limit().toString()).to.be.equal('9223372036854775807'); // MAX_INT64
+            expect(obj.limit).to.be.equal("922337203685.4775807");
+        });
+
+        it("creates a changeTrustOp with limit", function () {
+            let asset = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            let op = StellarBase.Operation.changeTrust({asset: asset, limit: "50"});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("changeTrust");
+            expect(obj.line.equals(asset)).to.be.true;
+            expect(operation.body().value().limit().toString()).to.be.equal('500000000');
+            expect(obj.limit).to.be.equal("50");
+        });
+
+        it("deletes a trustline with a zero limit", function () {
+            let asset = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            let op = StellarBase.Operation.changeTrust({asset: asset, limit: "0"});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.limit).to.be.equal("0");
+        });
+
+        it("fails to create changeTrust operation without an asset", function () {
+            expect(() => StellarBase.Operation.changeTrust({limit: "50"})).to.throw(/Must provide an asset/)
+        });
+
+        it("throws TypeError for incorrect limit argument", function () {
+            let usd = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+            let changeTrust = () => StellarBase.Operation.changeTrust({asset: usd, limit: 0});
+            expect(changeTrust).to.throw(TypeError);
+        });
+    });
+
+    describe(".allowTrust()", function () {
+        it("creates a allowTrustOp", function () {
+            let trustor = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+            let assetCode = "USD";
+            let authorize = true;
+            let op = StellarBase.Operation.allowTrust({trustor, assetCode, authorize});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("allowTrust");
+            expect(obj.trustor).to.be.equal(trustor);
+            expect(obj.assetCode).to.be.equal(assetCode);
+            expect(obj.authorize).to.be.equal(authorize);
+            expect(operation.body().value().asset().switch().name).to.be.equal("assetTypeCreditAlphanum4");
+        });
+
+        it("creates a allowTrustOp with a 12 byte asset code", function () {
+            let trustor = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+            let assetCode = "HUMANIQCOIN";
+            let authorize = false;
+            let op = StellarBase.Operation.allowTrust({trustor, assetCode, authorize});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.assetCode).to.be.equal(assetCode);
+            expect(obj.authorize).to.be.equal(authorize);
+            expect(operation.body().value().asset().switch().name).to.be.equal("assetTypeCreditAlphanum12");
+        });
+
+        it("fails to create allowTrust operation with an invalid trustor address", function () {
+            let opts = {
+                trustor: 'GCEZW',
+                assetCode: 'USD',
+                authorize: true
+            };
+            expect(() => StellarBase.Operation.allowTrust(opts)).to.throw(/trustor is invalid/)
+        });
+
+        it("fails to create allowTrust operation with a too long asset code", function () {
+            let opts = {
+                trustor: 'GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7',
+                assetCode: 'ABCDEFGHIJKLM',
+                authorize: true
+            };
+            expect(() => StellarBase.Operation.allowTrust(opts)).to.throw(/Asset code is invalid/)
+        });
+
+        it("fails to create allowTrust operation without authorize", function () {
+            let opts = {
+                trustor: 'GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7',
+                assetCode: 'USD'
+            };
+            expect(() => StellarBase.Operation.allowTrust(opts)).to.throw(/authorize argument must be of type Boolean/)
+        });
+    });
+
     describe(".accountMerge", function () {
         it("creates a accountMergeOp", function () {
             var opts = {};
@@ -391,15 +903,51 @@ describe('Operation', function() {
         });
     });
 
-    // describe(".inflation", function () {
-    //     it("creates a inflationOp", function () {
-    //         let op = StellarBase.Operation.inflation();
-    //         var xdr = op.toXDR("hex");
-    //         var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
-    //         var obj = StellarBase.Operation.fromXDRObject(operation);
-    //         expect(obj.type).to.be.equal("inflation");
-    //     });
-    // });
+    describe(".inflation", function () {
+        it("creates a inflationOp", function () {
+            let op = StellarBase.Operation.inflation();
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("inflation");
+            expect(obj.source).to.be.undefined;
+        });
+
+        it("creates a inflationOp with a source account", function () {
+            let source = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+            let op = StellarBase.Operation.inflation({source});
+            var xdr = op.toXDR("hex");
+            var operation = StellarBase.xdr.Operation.fromXDR(new Buffer(xdr, "hex"));
+            var obj = StellarBase.Operation.fromXDRObject(operation);
+            expect(obj.type).to.be.equal("inflation");
+            expect(obj.source).to.be.equal(source);
+        });
+    });
+
+    describe(".inflationResultFromXDR()", function () {
+        it("decodes inflation payouts", function () {
+            let destination = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+            let payout = new StellarBase.xdr.InflationPayout({
+                destination: StellarBase.Keypair.fromPublicKey(destination).xdrAccountId(),
+                amount: StellarBase.Hyper.fromString("15000000")
+            });
+            let inflationResult = StellarBase.xdr.InflationResult.inflationSuccess([payout]);
+
+            let result = StellarBase.Operation.inflationResultFromXDR(inflationResult.toXDR('base64'));
+            expect(result.code).to.be.equal("inflationSuccess");
+            expect(result.success).to.be.true;
+            expect(result.payouts).to.be.deep.equal([{destination, amount: "1.5"}]);
+        });
+
+        it("decodes a failed inflation", function () {
+            let inflationResult = StellarBase.xdr.InflationResult.inflationNotTime();
+
+            let result = StellarBase.Operation.inflationResultFromXDR(inflationResult);
+            expect(result.code).to.be.equal("inflationNotTime");
+            expect(result.success).to.be.false;
+            expect(result.payouts).to.be.empty;
+        });
+    });
 
     describe(".manageData", function () {
         it("creates a manageDataOp with string value", function () {
@@ -459,6 +1007,82 @@ describe('Operation', function() {
         });
     });
 
+    describe(".toJSON() & .fromJSON()", function () {
+        let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+        let usd = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+
+        it("converts assets, prices and buffers", function () {
+            let op = StellarBase.Operation.manageOffer({
+                selling: usd,
+                buying: StellarBase.Asset.native(),
+                amount: "3.1234567",
+                price: {n: 2, d: 4},
+                offerId: "18446744073709551615",
+                source: destination
+            });
+            expect(StellarBase.Operation.toJSON(op)).to.be.deep.equal({
+                type: "manageOffer",
+                source: destination,
+                selling: usd.toJSON(),
+                buying: {type: "native"},
+                amount: "3.1234567",
+                price: {n: 2, d: 4},
+                offerId: "18446744073709551615"
+            });
+
+            let hash = crypto.createHash('sha256').update("Tx hash").digest();
+            let setOptions = StellarBase.Operation.setOptions({
+                signer: {preAuthTx: hash, weight: 1, signerType: StellarBase.SignerType.ADMIN}
+            });
+            expect(StellarBase.Operation.toJSON(setOptions)).to.be.deep.equal({
+                type: "setOptions",
+                signer: {preAuthTx: hash.toString('hex'), weight: 1, signerType: "ADMIN"}
+            });
+
+            let manageData = StellarBase.Operation.manageData({name: "binary", value: new Buffer([0, 1, 255])});
+            expect(StellarBase.Operation.toJSON(manageData).value).to.be.equal("AAH/");
+        });
+
+        it("accepts decoded operations", function () {
+            let op = StellarBase.Operation.changeTrust({asset: usd, limit: "100"});
+            let json = StellarBase.Operation.toJSON(StellarBase.Operation.fromXDRObject(op));
+            expect(json).to.be.deep.equal({type: "changeTrust", line: usd.toJSON(), limit: "100"});
+            expect(StellarBase.Operation.fromJSON(json).toXDR('hex')).to.be.equal(op.toXDR('hex'));
+        });
+
+        it("round-trips every operation type", function () {
+            let hashX = crypto.createHash('sha256').update("Hash Preimage").digest();
+            let ops = [
+                StellarBase.Operation.createAccount({destination, startingBalance: "20", accountType: StellarBase.AccountType.AGENT}),
+                StellarBase.Operation.emission({destination, amount: "100"}),
+                StellarBase.Operation.settlement({amount: "0.0000001"}),
+                StellarBase.Operation.payment({destination, asset: usd, amount: "922337203685.4775807"}),
+                StellarBase.Operation.pathPayment({sendAsset: usd, sendMax: "10", destination, destAsset: StellarBase.Asset.native(), destAmount: "5", path: [usd]}),
+                StellarBase.Operation.manageOffer({selling: usd, buying: StellarBase.Asset.native(), amount: "1", price: {n: 6, d: 9}}),
+                StellarBase.Operation.createPassiveOffer({selling: usd, buying: StellarBase.Asset.native(), amount: "1", price: "0.3333333"}),
+                StellarBase.Operation.setOptions({homeDomain: "", setFlags: 0, signer: {sha256Hash: hashX, weight: 0, signerType: 1}}),
+                StellarBase.Operation.setOptions({inflationDest: destination, masterWeight: 0, lowThreshold: 1, medThreshold: 2, highThreshold: 255}),
+                StellarBase.Operation.changeTrust({asset: usd}),
+                StellarBase.Operation.allowTrust({trustor: destination, assetCode: "USD", authorize: true}),
+                StellarBase.Operation.accountMerge({destination}),
+                StellarBase.Operation.inflation({source: destination}),
+                StellarBase.Operation.manageData({name: "name", value: null}),
+                StellarBase.Operation.setFee({baseFee: 200}),
+                StellarBase.Operation.spendFee({destination, amount: "1"}),
+                StellarBase.Operation.restrictAccount({account: destination, setFlags: StellarBase.BlockOutgoingFlag})
+            ];
+
+            ops.forEach(op => {
+                let json = JSON.parse(JSON.stringify(StellarBase.Operation.toJSON(op)));
+                expect(StellarBase.Operation.fromJSON(json).toXDR('hex')).to.be.equal(op.toXDR('hex'));
+            });
+        });
+
+        it("throws on unknown operation types", function () {
+            expect(() => StellarBase.Operation.fromJSON({type: "toJSON"})).to.throw(/Unknown operation type/);
+        });
+    });
+
     describe("._checkUnsignedIntValue()", function () {
         it("returns true for valid values", function () {
             let values = [
@@ -0,0 +1,72 @@
+describe('ResultCodes', function() {
+  let xdr = StellarBase.xdr;
+  let ResultCodes = StellarBase.ResultCodes;
+
+  it("covers every member of every result code enum", function() {
+    ResultCodes.types().forEach(type => {
+      let members = xdr[type].values();
+      expect(members.length).to.be.above(0);
+      members.forEach(member => {
+        let entry = ResultCodes.get(member);
+        expect(entry.type).to.be.equal(type);
+        expect(entry.value).to.be.equal(member.value);
+        expect(entry.messages.en).to.be.a('string');
+        expect(entry.messages.uk).to.be.a('string');
+      });
+    });
+  });
+
+  it("looks up codes by key, XDR name, XDR enum and integer value", function() {
+    let byKey = ResultCodes.get("SPEND_FEE_DEST_BLOCKED");
+    expect(byKey.name).to.be.equal("spendFeeDestBlocked");
+    expect(byKey.type).to.be.equal("SpendFeeResultCode");
+    expect(byKey.value).to.be.equal(-6);
+    expect(byKey.success).to.be.false;
+
+    expect(ResultCodes.get("spendFeeDestBlocked")).to.be.equal(byKey);
+    expect(ResultCodes.get(xdr.SpendFeeResultCode.spendFeeDestBlocked())).to.be.equal(byKey);
+    expect(ResultCodes.get(-6, "SpendFeeResultCode")).to.be.equal(byKey);
+  });
+
+  it("uses the constant names of Stellar-transaction.x as keys", function() {
+    expect(ResultCodes.get("restrictAccountBadFlag").key).to.be.equal("RESTRICT_ACCOUNT_BAD_FLAGS");
+    expect(ResultCodes.get("opAccountBlockedOut").key).to.be.equal("opACCOUNT_BLOCKED_OUT");
+    expect(ResultCodes.get("txAccountBlockedOut").key).to.be.equal("txACCOUNT_BLOCKED_OUT");
+  });
+
+  it("returns localized messages", function() {
+    expect(ResultCodes.message("txACCOUNT_BLOCKED_OUT")).to.be.equal("The source account is blocked from outgoing actions.");
+    expect(ResultCodes.message("txACCOUNT_BLOCKED_OUT", "uk")).to.be.equal("Рахунок відправника заблоковано для вихідних операцій.");
+    expect(ResultCodes.message(-4, "en", "RestrictAccountResultCode")).to.be.equal("Invalid combination of set and clear flags.");
+    expect(() => ResultCodes.message("txBAD_SEQ", "de")).to.throw(/Unsupported locale/);
+  });
+
+  it("classifies codes as retryable or permanent", function() {
+    expect(ResultCodes.isRetryable("txBAD_SEQ")).to.be.true;
+    expect(ResultCodes.isRetryable("txINSUFFICIENT_FEE")).to.be.true;
+    expect(ResultCodes.isRetryable("SPEND_FEE_UNDERFUNDED")).to.be.true;
+    expect(ResultCodes.isRetryable("SPEND_FEE_DEST_BLOCKED")).to.be.false;
+    expect(ResultCodes.isRetryable("opACCOUNT_BLOCKED_OUT")).to.be.false;
+    expect(ResultCodes.isRetryable("txSUCCESS")).to.be.false;
+  });
+
+  it("works with decoded transaction results", function() {
+    let result = new xdr.TransactionResult({
+      feeCharged: StellarBase.Hyper.fromString("100"),
+      result: xdr.TransactionResultResult.txFailed([
+        xdr.OperationResult.opInner(xdr.OperationResultTr.spendFee(xdr.SpendFeeResult.spendFeeDestBlocked()))
+      ]),
+      ext: new xdr.TransactionResultExt(0)
+    });
+    let decoded = new StellarBase.TransactionResult(result);
+
+    expect(ResultCodes.get(decoded.code).key).to.be.equal("txFAILED");
+    expect(ResultCodes.get(decoded.operations[0].code).key).to.be.equal("SPEND_FEE_DEST_BLOCKED");
+  });
+
+  it("throws on unknown codes", function() {
+    expect(() => ResultCodes.get("NOT_A_CODE")).to.throw(/Unknown result code/);
+    expect(() => ResultCodes.get(-100, "PaymentResultCode")).to.throw(/Unknown result code/);
+    expect(() => ResultCodes.get(-1)).to.throw(/A valid result code type is required/);
+  });
+});
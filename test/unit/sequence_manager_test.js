@@ -0,0 +1,93 @@
+describe('SequenceManager', function() {
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let account, manager;
+
+  function builder(amount="1") {
+    return new StellarBase.TransactionBuilder(account)
+      .addOperation(StellarBase.Operation.payment({destination, amount}));
+  }
+
+  beforeEach(function() {
+    account = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "10", "100");
+    manager = new StellarBase.SequenceManager(account);
+  });
+
+  it("reserves and rolls back sequence numbers", function() {
+    expect(manager.reserve()).to.be.equal("11");
+    let transaction = manager.build(builder());
+    expect(transaction.sequence).to.be.equal("12");
+    expect(manager.reserve()).to.be.equal("13");
+    expect(manager.sequences()).to.be.deep.equal(["11", "12", "13"]);
+
+    manager.rollback("13");
+    expect(account.sequenceNumber()).to.be.equal("12");
+
+    manager.rollback(transaction);
+    expect(account.sequenceNumber()).to.be.equal("11");
+
+    manager.rollback("11");
+    expect(account.sequenceNumber()).to.be.equal("10");
+    expect(() => manager.rollback("11")).to.throw(/Sequence number 11 is not reserved/);
+  });
+
+  it("detects gaps left by rolled back sequence numbers", function() {
+    manager.build(builder());
+    let second = manager.build(builder());
+    manager.build(builder());
+    expect(manager.gaps()).to.be.deep.equal([]);
+
+    manager.rollback(second);
+    expect(account.sequenceNumber()).to.be.equal("13");
+    expect(manager.gaps()).to.be.deep.equal(["12"]);
+  });
+
+  it("detects gaps among transactions", function() {
+    let transactions = [builder().build(), builder().build(), builder().build(), builder().build()];
+    let gaps = StellarBase.SequenceManager.gaps([transactions[3], transactions[1]], "10");
+    expect(gaps).to.be.deep.equal(["11", "13"]);
+    expect(StellarBase.SequenceManager.gaps(transactions)).to.be.deep.equal([]);
+    expect(StellarBase.SequenceManager.gaps([{sequence: "9007199254740993"}, {sequence: "9007199254740995"}])).to.be.deep.equal(["9007199254740994"]);
+
+    let other = new StellarBase.TransactionBuilder(new StellarBase.Account(destination, "0", "100"))
+      .addOperation(StellarBase.Operation.payment({destination, amount: "1"}))
+      .build();
+    expect(() => StellarBase.SequenceManager.gaps([transactions[0], other])).to.throw(/Transactions must have the same source account/);
+  });
+
+  it("rebuilds transactions following a failed transaction", function() {
+    manager.build(builder("1"));
+    let failed = manager.build(builder("2"));
+    manager.build(builder("3"));
+    manager.build(builder("4"));
+
+    let rebuilt = manager.rebuild(failed);
+    expect(rebuilt.map(tx => tx.sequence)).to.be.deep.equal(["12", "13"]);
+    expect(rebuilt.map(tx => tx.operations[0].amount)).to.be.deep.equal(["3", "4"]);
+    expect(manager.sequences()).to.be.deep.equal(["11", "12", "13"]);
+    expect(account.sequenceNumber()).to.be.equal("13");
+  });
+
+  it("rebuilds transactions following a gap", function() {
+    manager.build(builder("1"));
+    let unused = manager.build(builder("2"));
+    manager.build(builder("3"));
+    manager.rollback(unused);
+
+    let rebuilt = manager.rebuild(manager.gaps()[0]);
+    expect(rebuilt.map(tx => tx.sequence)).to.be.deep.equal(["12"]);
+    expect(manager.gaps()).to.be.deep.equal([]);
+
+    manager.reserve();
+    expect(() => manager.rebuild("12")).to.throw(/Sequence number 13 is reserved without a transaction builder/);
+  });
+
+  it("stops tracking confirmed sequence numbers", function() {
+    let first = manager.build(builder());
+    manager.build(builder());
+    manager.confirm(first);
+
+    expect(manager.sequences()).to.be.deep.equal(["12"]);
+    expect(() => manager.rebuild("11")).to.throw(/Sequence number 11 is already confirmed/);
+    expect(() => manager.build(new StellarBase.TransactionBuilder(new StellarBase.Account(destination, "0")))).to.throw(/must use the account of the sequence manager/);
+  });
+});
@@ -172,4 +172,228 @@ describe('TransactionBuilder', function() {
             done();
         });
     });
+
+    describe("timebounds", function() {
+        let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+        function builder(opts) {
+            let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0", "100");
+            return new StellarBase.TransactionBuilder(source, opts)
+              .addOperation(StellarBase.Operation.payment({destination, amount: "1"}));
+        }
+
+        it("does not mutate the timebounds passed in", function() {
+            let timebounds = {minTime: 1455287522, maxTime: "1455297545"};
+            let b = builder({timebounds});
+            b.build();
+            b.build();
+            expect(timebounds).to.be.deep.equal({minTime: 1455287522, maxTime: "1455297545"});
+            expect(b.timebounds).to.be.deep.equal({minTime: 1455287522, maxTime: "1455297545"});
+        });
+
+        it("sets a timeout", function() {
+            let now = Math.floor(Date.now() / 1000);
+            let transaction = builder().setTimeout(30).build();
+            expect(transaction.timeBounds.minTime).to.be.equal("0");
+            expect(parseInt(transaction.timeBounds.maxTime)).to.be.within(now + 30, now + 31);
+
+            transaction = builder().setTimeout(0).build();
+            expect(transaction.timeBounds).to.be.deep.equal({minTime: "0", maxTime: "0"});
+        });
+
+        it("keeps the minimum time when setting a timeout", function() {
+            let transaction = builder({timebounds: {minTime: "5", maxTime: "0"}}).setTimeout(30).build();
+            expect(transaction.timeBounds.minTime).to.be.equal("5");
+        });
+
+        it("sets a timeout over partial timebounds", function() {
+            let transaction = builder({timebounds: {minTime: 5}}).setTimeout(30).build();
+            expect(transaction.timeBounds.minTime).to.be.equal("5");
+            expect(Number(transaction.timeBounds.maxTime)).to.be.above(Math.floor(Date.now() / 1000));
+
+            transaction = builder({timebounds: {maxTime: 0}}).setTimeout(30).build();
+            expect(transaction.timeBounds.minTime).to.be.equal("0");
+        });
+
+        it("throws when the timeout is invalid or maxTime is already set", function() {
+            expect(() => builder().setTimeout(-1)).to.throw(/timeout cannot be negative/);
+            expect(() => builder().setTimeout(1.5)).to.throw(/timeout cannot be negative/);
+            expect(() => builder().setTimebounds(0, 10).setTimeout(30)).to.throw(/maxTime has been already set/);
+        });
+
+        it("sets timebounds from dates and timestamps", function() {
+            let transaction = builder()
+              .setTimebounds(new Date("2016-02-12T14:32:02.900Z"), 1455297545)
+              .build();
+            expect(transaction.timeBounds).to.be.deep.equal({minTime: "1455287522", maxTime: "1455297545"});
+            expect(() => builder().setTimebounds("1", 2)).to.throw(/minTime must be a Date or a non-negative integer/);
+            expect(() => builder().setTimebounds(1, -2)).to.throw(/maxTime must be a Date or a non-negative integer/);
+        });
+    });
+
+    describe("validation", function() {
+        let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+        function payment() {
+            return StellarBase.Operation.payment({destination, amount: "1"});
+        }
+
+        function builder(opts) {
+            let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0", "100");
+            return new StellarBase.TransactionBuilder(source, opts);
+        }
+
+        it("accepts a valid transaction", function() {
+            expect(builder().addOperation(payment()).validate()).to.be.deep.equal([]);
+        });
+
+        it("rejects a transaction without operations", function() {
+            let errors = builder().validate();
+            expect(errors).to.be.deep.equal([{
+                field: "operations",
+                code: "MISSING_OPERATION",
+                message: "transaction must contain at least one operation"
+            }]);
+        });
+
+        it("rejects more than 100 operations and a fee overflowing uint32", function() {
+            let b = builder({fee: 50000000});
+            for (let i = 0; i < 101; i++) {
+                b.addOperation(payment());
+            }
+            let errors = b.validate();
+            expect(errors.map(e => e.code)).to.be.deep.equal(["TOO_MANY_OPERATIONS", "INVALID_FEE"]);
+            expect(errors[1].field).to.be.equal("fee");
+        });
+
+        it("rejects invalid timebounds", function() {
+            let errors = builder({timebounds: {minTime: "1455297545", maxTime: "1455287522"}}).addOperation(payment()).validate();
+            expect(errors.map(e => e.code)).to.be.deep.equal(["INVALID_TIMEBOUNDS"]);
+            expect(errors[0].message).to.match(/minTime \(1455297545\) cannot be after timebounds.maxTime/);
+
+            errors = builder({timebounds: {minTime: -1, maxTime: "1455287522"}}).addOperation(payment()).validate();
+            expect(errors.map(e => e.code)).to.be.deep.equal(["INVALID_TIMEBOUNDS"]);
+
+            expect(builder({timebounds: {minTime: "1455297545", maxTime: 0}}).addOperation(payment()).validate()).to.be.deep.equal([]);
+        });
+
+        it("rejects invalid operations and memos", function() {
+            let b = builder()
+              .addOperation(payment())
+              .addOperation({type: "payment"})
+              .addOperation(StellarBase.Operation.setFee({}))
+              .addMemo("memo");
+            let errors = b.validate();
+            expect(errors.map(e => [e.field, e.code])).to.be.deep.equal([
+                ["operations[1]", "INVALID_OPERATION"],
+                ["operations[2]", "INVALID_OPERATION"],
+                ["memo", "INVALID_MEMO"]
+            ]);
+        });
+
+        it("rejects a fee lower than the minimum fee", function() {
+            let errors = builder().addOperation(payment()).addOperation(payment()).addFee(199).validate();
+            expect(errors).to.be.deep.equal([{
+                field: "fee",
+                code: "FEE_TOO_LOW",
+                message: "fee 199 is lower than the minimum fee 200"
+            }]);
+            expect(builder().addOperation(payment()).addFee(500).validate()).to.be.deep.equal([]);
+        });
+
+        it("reports all problems when building", function() {
+            let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0", "100");
+            let b = new StellarBase.TransactionBuilder(source, {timebounds: {minTime: 2, maxTime: 1}}).addFee(-1);
+            let error;
+            try {
+                b.build();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.match(/^Invalid transaction: transaction must contain at least one operation; fee must be/);
+            expect(error.errors.map(e => e.code)).to.be.deep.equal(["MISSING_OPERATION", "INVALID_FEE", "INVALID_TIMEBOUNDS"]);
+            expect(source.sequenceNumber()).to.be.equal("0");
+        });
+    });
+
+    describe("fromTransaction", function() {
+        let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+        let signer = StellarBase.Keypair.random();
+
+        beforeEach(function() {
+            StellarBase.Network.useTestNetwork();
+        });
+
+        afterEach(function() {
+            StellarBase.Network.use(null);
+        });
+
+        function signedTransaction(opts = {}) {
+            let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "41", "100");
+            let builder = new StellarBase.TransactionBuilder(source, Object.assign({
+                timebounds: {minTime: "1455287522", maxTime: "1455297545"}
+            }, opts))
+              .addOperation(StellarBase.Operation.payment({destination, amount: "1000"}))
+              .addOperation(StellarBase.Operation.inflation())
+              .addMemo(StellarBase.Memo.text("memo"));
+            let transaction = builder.build();
+            transaction.sign(signer);
+            return transaction;
+        }
+
+        it("rebuilds the same transaction with its signatures", function() {
+            let transaction = signedTransaction();
+            let envelope = transaction.toEnvelope().toXDR('base64');
+
+            let rebuilt = StellarBase.TransactionBuilder.fromTransaction(envelope).build();
+            expect(rebuilt.toEnvelope().toXDR('base64')).to.be.equal(envelope);
+            expect(rebuilt.signatures.length).to.be.equal(1);
+        });
+
+        it("keeps a fee that is not a multiple of the number of operations", function() {
+            let transaction = signedTransaction({fee: 100});
+            let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "41", "100");
+            let odd = new StellarBase.TransactionBuilder(source)
+              .addOperation(StellarBase.Operation.inflation())
+              .addOperation(StellarBase.Operation.inflation())
+              .addFee(301)
+              .build();
+
+            expect(StellarBase.TransactionBuilder.fromTransaction(transaction).build().fee).to.be.equal(200);
+            let rebuilt = StellarBase.TransactionBuilder.fromTransaction(odd).build();
+            expect(rebuilt.fee).to.be.equal(301);
+            expect(rebuilt.toEnvelope().toXDR('base64')).to.be.equal(odd.toEnvelope().toXDR('base64'));
+        });
+
+        it("drops signatures when the transaction changes", function() {
+            let transaction = signedTransaction();
+
+            let rebuilt = StellarBase.TransactionBuilder.fromTransaction(transaction)
+              .removeOperation(1)
+              .addOperation(StellarBase.Operation.payment({destination, amount: "5"}))
+              .addMemo(StellarBase.Memo.text("changed"))
+              .build();
+
+            expect(rebuilt.sequence).to.be.equal(transaction.sequence);
+            expect(rebuilt.source).to.be.equal(transaction.source);
+            expect(rebuilt.timeBounds).to.be.deep.equal(transaction.timeBounds);
+            expect(rebuilt.fee).to.be.equal(200);
+            expect(rebuilt.operations.map(op => op.amount)).to.be.deep.equal(["1000", "5"]);
+            expect(rebuilt.memo.value).to.be.equal("changed");
+            expect(rebuilt.signatures).to.be.deep.equal([]);
+            expect(transaction.signatures.length).to.be.equal(1);
+        });
+
+        it("keeps the network of the transaction", function() {
+            let transaction = signedTransaction({networkPassphrase: StellarBase.Networks.PUBLIC});
+            let rebuilt = StellarBase.TransactionBuilder.fromTransaction(transaction).build();
+            expect(rebuilt.networkPassphrase).to.be.equal(StellarBase.Networks.PUBLIC);
+            expect(rebuilt.signatures.length).to.be.equal(1);
+        });
+
+        it("throws when removing an unknown operation", function() {
+            let builder = StellarBase.TransactionBuilder.fromTransaction(signedTransaction());
+            expect(() => builder.removeOperation(2)).to.throw(/Operation index 2 is out of range/);
+        });
+    });
 });
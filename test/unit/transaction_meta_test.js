@@ -0,0 +1,108 @@
+describe('TransactionMeta', function() {
+  let xdr = StellarBase.xdr;
+  let source = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd = new StellarBase.Asset("USD", "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB");
+
+  function xdrAccountId(address) {
+    return StellarBase.Keypair.fromPublicKey(address).xdrAccountId();
+  }
+
+  function accountEntry(accountId, balance) {
+    return new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: 10,
+      data: xdr.LedgerEntryData.account(new xdr.AccountEntry({
+        accountId: xdrAccountId(accountId),
+        accountType: 0,
+        balance: StellarBase.Hyper.fromString(balance),
+        seqNum: xdr.SequenceNumber.fromString("1"),
+        numSubEntries: 0,
+        flags: 0,
+        homeDomain: "",
+        thresholds: new Buffer([1, 0, 0, 0]),
+        signers: [],
+        ext: new xdr.AccountEntryExt(0)
+      })),
+      ext: new xdr.LedgerEntryExt(0)
+    });
+  }
+
+  function trustLineEntry(accountId, balance) {
+    return new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: 10,
+      data: xdr.LedgerEntryData.trustline(new xdr.TrustLineEntry({
+        accountId: xdrAccountId(accountId),
+        asset: usd.toXDRObject(),
+        balance: StellarBase.Hyper.fromString(balance),
+        limit: StellarBase.Hyper.fromString("9223372036854775807"),
+        flags: 1,
+        ext: new xdr.TrustLineEntryExt(0)
+      })),
+      ext: new xdr.LedgerEntryExt(0)
+    });
+  }
+
+  function buildMeta() {
+    return new xdr.TransactionMeta(0, [
+      new xdr.OperationMeta({changes: [
+        xdr.LedgerEntryChange.ledgerEntryState(accountEntry(source, "1000000000")),
+        xdr.LedgerEntryChange.ledgerEntryUpdated(accountEntry(source, "800000000")),
+        xdr.LedgerEntryChange.ledgerEntryCreated(accountEntry(destination, "200000000"))
+      ]}),
+      new xdr.OperationMeta({changes: [
+        xdr.LedgerEntryChange.ledgerEntryState(trustLineEntry(source, "50000000")),
+        xdr.LedgerEntryChange.ledgerEntryRemoved(xdr.LedgerKey.trustline(new xdr.LedgerKeyTrustLine({
+          accountId: xdrAccountId(source),
+          asset: usd.toXDRObject()
+        }))),
+        xdr.LedgerEntryChange.ledgerEntryState(accountEntry(source, "800000000")),
+        xdr.LedgerEntryChange.ledgerEntryUpdated(accountEntry(source, "800000000"))
+      ]})
+    ]).toXDR('base64');
+  }
+
+  it("decodes the changes of every operation", function() {
+    let meta = new StellarBase.TransactionMeta(buildMeta());
+
+    expect(meta.operations.length).to.be.equal(2);
+    expect(meta.operations[0].changes.map(c => c.type)).to.be.deep.equal(["state", "updated", "created"]);
+    expect(meta.operations[1].changes.map(c => c.type)).to.be.deep.equal(["state", "removed", "state", "updated"]);
+
+    let created = meta.operations[0].changes[2].entry;
+    expect(created.type).to.be.equal("account");
+    expect(created.accountId).to.be.equal(destination);
+    expect(created.balance).to.be.equal("20");
+
+    let removed = meta.operations[1].changes[1].entry;
+    expect(removed.type).to.be.equal("trustline");
+    expect(removed.accountId).to.be.equal(source);
+    expect(removed.asset.equals(usd)).to.be.true;
+    expect(removed.balance).to.be.undefined;
+
+    expect(meta.changes().length).to.be.equal(7);
+  });
+
+  it("computes balance changes", function() {
+    let meta = new StellarBase.TransactionMeta(buildMeta());
+    let changes = meta.balanceChanges();
+
+    expect(changes.length).to.be.equal(3);
+
+    expect(changes[0].accountId).to.be.equal(source);
+    expect(changes[0].asset.isNative()).to.be.true;
+    expect(changes[0].before).to.be.equal("100");
+    expect(changes[0].after).to.be.equal("80");
+    expect(changes[0].delta).to.be.equal("-20");
+
+    expect(changes[1].accountId).to.be.equal(destination);
+    expect(changes[1].before).to.be.equal("0");
+    expect(changes[1].after).to.be.equal("20");
+    expect(changes[1].delta).to.be.equal("20");
+
+    expect(changes[2].accountId).to.be.equal(source);
+    expect(changes[2].asset.equals(usd)).to.be.true;
+    expect(changes[2].before).to.be.equal("5");
+    expect(changes[2].after).to.be.equal("0");
+    expect(changes[2].delta).to.be.equal("-5");
+  });
+});
@@ -0,0 +1,155 @@
+describe('TransactionResult', function() {
+  let xdr = StellarBase.xdr;
+  let seller = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd = new StellarBase.Asset("USD", seller);
+
+  function buildResult(code, results) {
+    return new xdr.TransactionResult({
+      feeCharged: StellarBase.Hyper.fromString("200"),
+      result: xdr.TransactionResultResult[code](results),
+      ext: new xdr.TransactionResultExt(0)
+    }).toXDR('base64');
+  }
+
+  function claimOfferAtom() {
+    return new xdr.ClaimOfferAtom({
+      sellerId: StellarBase.Keypair.fromPublicKey(seller).xdrAccountId(),
+      offerId: StellarBase.UnsignedHyper.fromString("12"),
+      assetSold: usd.toXDRObject(),
+      amountSold: StellarBase.Hyper.fromString("10000000"),
+      assetBought: StellarBase.Asset.native().toXDRObject(),
+      amountBought: StellarBase.Hyper.fromString("25000000")
+    });
+  }
+
+  it("decodes a successful transaction result", function() {
+    let result = new StellarBase.TransactionResult(buildResult("txSuccess", [
+      xdr.OperationResult.opInner(xdr.OperationResultTr.payment(xdr.PaymentResult.paymentSuccess())),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.emission(xdr.EmissionResult.emissionSuccess())),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.setOption(xdr.SetOptionsResult.setOptionsSuccess()))
+    ]));
+
+    expect(result.feeCharged).to.be.equal("200");
+    expect(result.code).to.be.equal("txSuccess");
+    expect(result.success).to.be.true;
+    expect(result.operations).to.be.deep.equal([
+      {type: "payment", code: "paymentSuccess", success: true},
+      {type: "emission", code: "emissionSuccess", success: true},
+      {type: "setOptions", code: "setOptionsSuccess", success: true}
+    ]);
+  });
+
+  it("decodes Humaniq specific operation failures", function() {
+    let result = new StellarBase.TransactionResult(buildResult("txFailed", [
+      xdr.OperationResult.opInner(xdr.OperationResultTr.settlement(xdr.SettlementResult.settlementUnderfunded())),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.spendFee(xdr.SpendFeeResult.spendFeeDestBlocked())),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.setFee(xdr.SetFeeResult.setFeeSrcNotAuthorized())),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.restrictAccount(xdr.RestrictAccountResult.restrictAccountBadFlag())),
+      xdr.OperationResult.opAccountBlockedOut()
+    ]));
+
+    expect(result.code).to.be.equal("txFailed");
+    expect(result.success).to.be.false;
+    expect(result.operations).to.be.deep.equal([
+      {type: "settlement", code: "settlementUnderfunded", success: false},
+      {type: "spendFee", code: "spendFeeDestBlocked", success: false},
+      {type: "setFee", code: "setFeeSrcNotAuthorized", success: false},
+      {type: "restrictAccount", code: "restrictAccountBadFlag", success: false},
+      {type: null, code: "opAccountBlockedOut", success: false}
+    ]);
+  });
+
+  it("decodes a transaction level failure", function() {
+    let result = new StellarBase.TransactionResult(buildResult("txAccountBlockedOut"));
+
+    expect(result.code).to.be.equal("txAccountBlockedOut");
+    expect(result.success).to.be.false;
+    expect(result.operations).to.be.empty;
+  });
+
+  it("decodes path payment details", function() {
+    let success = new xdr.PathPaymentResultSuccess({
+      offers: [claimOfferAtom()],
+      last: new xdr.SimplePaymentResult({
+        destination: StellarBase.Keypair.fromPublicKey(destination).xdrAccountId(),
+        asset: StellarBase.Asset.native().toXDRObject(),
+        amount: StellarBase.Hyper.fromString("25000000")
+      })
+    });
+    let result = new StellarBase.TransactionResult(buildResult("txSuccess", [
+      xdr.OperationResult.opInner(xdr.OperationResultTr.pathPayment(xdr.PathPaymentResult.pathPaymentSuccess(success))),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.pathPayment(xdr.PathPaymentResult.pathPaymentNoIssuer(usd.toXDRObject())))
+    ]));
+
+    let [paid, noIssuer] = result.operations;
+    expect(paid.type).to.be.equal("pathPayment");
+    expect(paid.offers.length).to.be.equal(1);
+    expect(paid.offers[0].sellerId).to.be.equal(seller);
+    expect(paid.offers[0].offerId).to.be.equal("12");
+    expect(paid.offers[0].assetSold.equals(usd)).to.be.true;
+    expect(paid.offers[0].amountSold).to.be.equal("1");
+    expect(paid.offers[0].assetBought.isNative()).to.be.true;
+    expect(paid.offers[0].amountBought).to.be.equal("2.5");
+    expect(paid.last.destination).to.be.equal(destination);
+    expect(paid.last.asset.isNative()).to.be.true;
+    expect(paid.last.amount).to.be.equal("2.5");
+
+    expect(noIssuer.code).to.be.equal("pathPaymentNoIssuer");
+    expect(noIssuer.noIssuer.equals(usd)).to.be.true;
+  });
+
+  it("decodes manage offer details", function() {
+    let offer = new xdr.OfferEntry({
+      sellerId: StellarBase.Keypair.fromPublicKey(seller).xdrAccountId(),
+      offerId: StellarBase.UnsignedHyper.fromString("13"),
+      selling: usd.toXDRObject(),
+      buying: StellarBase.Asset.native().toXDRObject(),
+      amount: StellarBase.Hyper.fromString("50000000"),
+      price: new xdr.Price({n: 5, d: 2}),
+      flags: 0,
+      ext: new xdr.OfferEntryExt(0)
+    });
+    let created = new xdr.ManageOfferSuccessResult({
+      offersClaimed: [claimOfferAtom()],
+      offer: xdr.ManageOfferSuccessResultOffer.manageOfferCreated(offer)
+    });
+    let deleted = new xdr.ManageOfferSuccessResult({
+      offersClaimed: [],
+      offer: xdr.ManageOfferSuccessResultOffer.manageOfferDeleted()
+    });
+    let result = new StellarBase.TransactionResult(buildResult("txSuccess", [
+      xdr.OperationResult.opInner(xdr.OperationResultTr.manageOffer(xdr.ManageOfferResult.manageOfferSuccess(created))),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.createPassiveOffer(xdr.ManageOfferResult.manageOfferSuccess(deleted)))
+    ]));
+
+    let [manageOffer, passiveOffer] = result.operations;
+    expect(manageOffer.type).to.be.equal("manageOffer");
+    expect(manageOffer.effect).to.be.equal("manageOfferCreated");
+    expect(manageOffer.offersClaimed.length).to.be.equal(1);
+    expect(manageOffer.offer.offerId).to.be.equal("13");
+    expect(manageOffer.offer.selling.equals(usd)).to.be.true;
+    expect(manageOffer.offer.amount).to.be.equal("5");
+    expect(manageOffer.offer.price).to.be.equal("2.5");
+
+    expect(passiveOffer.type).to.be.equal("createPassiveOffer");
+    expect(passiveOffer.effect).to.be.equal("manageOfferDeleted");
+    expect(passiveOffer.offer).to.be.undefined;
+  });
+
+  it("decodes account merge and inflation details", function() {
+    let payout = new xdr.InflationPayout({
+      destination: StellarBase.Keypair.fromPublicKey(destination).xdrAccountId(),
+      amount: StellarBase.Hyper.fromString("10000000")
+    });
+    let result = new StellarBase.TransactionResult(buildResult("txSuccess", [
+      xdr.OperationResult.opInner(xdr.OperationResultTr.accountMerge(xdr.AccountMergeResult.accountMergeSuccess(StellarBase.Hyper.fromString("1234500000")))),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.inflation(xdr.InflationResult.inflationSuccess([payout]))),
+      xdr.OperationResult.opInner(xdr.OperationResultTr.manageDatum(xdr.ManageDataResult.manageDataSuccess()))
+    ]));
+
+    expect(result.operations[0].sourceAccountBalance).to.be.equal("123.45");
+    expect(result.operations[1].payouts).to.be.deep.equal([{destination, amount: "1"}]);
+    expect(result.operations[2].type).to.be.equal("manageData");
+  });
+});
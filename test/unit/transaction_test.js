@@ -30,6 +30,79 @@ describe('Transaction', function() {
     done();
   });
 
+  it("round-trips a path payment through a TransactionEnvelope", function() {
+    let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+    let usd         = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+    let eur         = new StellarBase.Asset("EUR", "GDTNXRLOJD2YEBPKK7KCMR7J33AAG5VZXHAJTHIG736D6LVEFLLLKPDL");
+
+    let input = new StellarBase.TransactionBuilder(source)
+                .addOperation(StellarBase.Operation.pathPayment({
+                  sendAsset: usd,
+                  sendMax: "110",
+                  destination,
+                  destAsset: eur,
+                  destAmount: "100",
+                  path: [StellarBase.Asset.native()]
+                }))
+                .build()
+                .toEnvelope()
+                .toXDR('base64');
+
+    let transaction = new StellarBase.Transaction(input);
+    let operation = transaction.operations[0];
+
+    expect(operation.type).to.be.equal('pathPayment');
+    expect(operation.sendAsset.equals(usd)).to.be.true;
+    expect(operation.sendMax).to.be.equal('110');
+    expect(operation.destination).to.be.equal(destination);
+    expect(operation.destAsset.equals(eur)).to.be.true;
+    expect(operation.destAmount).to.be.equal('100');
+    expect(operation.path.length).to.be.equal(1);
+    expect(operation.path[0].isNative()).to.be.true;
+    expect(transaction.toEnvelope().toXDR('base64')).to.be.equal(input);
+  });
+
+  it("round-trips a credit asset payment through a TransactionEnvelope", function() {
+    let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+    let asset       = new StellarBase.Asset("HMQ", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+    let amount      = "12.5";
+
+    let input = new StellarBase.TransactionBuilder(source)
+                .addOperation(StellarBase.Operation.payment({destination, asset, amount}))
+                .build()
+                .toEnvelope()
+                .toXDR('base64');
+
+    let operation = new StellarBase.Transaction(input).operations[0];
+
+    expect(operation.type).to.be.equal('payment');
+    expect(operation.asset.equals(asset)).to.be.true;
+    expect(operation.amount).to.be.equal(amount);
+  });
+
+  it("decodes a transaction containing offer operations", function() {
+    let source  = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+    let selling = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+    let buying  = StellarBase.Asset.native();
+
+    let input = new StellarBase.TransactionBuilder(source)
+                .addOperation(StellarBase.Operation.manageOffer({selling, buying, amount: "10", price: "2.5", offerId: "42"}))
+                .addOperation(StellarBase.Operation.createPassiveOffer({selling, buying, amount: "5", price: {n: 1, d: 4}}))
+                .build()
+                .toEnvelope()
+                .toXDR('base64');
+
+    let transaction = new StellarBase.Transaction(input);
+
+    expect(transaction.operations[0].type).to.be.equal('manageOffer');
+    expect(transaction.operations[0].price).to.be.equal('2.5');
+    expect(transaction.operations[0].offerId).to.be.equal('42');
+    expect(transaction.operations[1].type).to.be.equal('createPassiveOffer');
+    expect(transaction.operations[1].price).to.be.equal('0.25');
+  });
+
   beforeEach(function() {
     StellarBase.Network.useTestNetwork();
   })
@@ -106,6 +179,250 @@ describe('Transaction', function() {
     expect(() => tx.signHashX(preimage)).to.throw(/preimage cannnot be longer than 64 bytes/);
   });
 
+  it("hashes and signs for its own network passphrase", function() {
+    let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+    let signer      = StellarBase.Keypair.random();
+
+    let publicTx = new StellarBase.TransactionBuilder(source, {networkPassphrase: StellarBase.Networks.PUBLIC})
+                .addOperation(StellarBase.Operation.payment({destination, amount: "2000"}))
+                .build();
+    let envelope = publicTx.toEnvelope().toXDR('base64');
+    let testTx = new StellarBase.Transaction(envelope);
+
+    expect(publicTx.networkPassphrase).to.be.equal(StellarBase.Networks.PUBLIC);
+    expect(publicTx.network().networkPassphrase()).to.be.equal(StellarBase.Networks.PUBLIC);
+    expect(testTx.networkPassphrase).to.be.null;
+    expect(testTx.network()).to.be.equal(StellarBase.Network.current());
+    expect(publicTx.hash().equals(testTx.hash())).to.be.false;
+
+    StellarBase.Network.usePublicNetwork();
+    expectBuffersToBeEqual(publicTx.hash(), testTx.hash());
+
+    StellarBase.Network.use(null);
+    publicTx.sign(signer);
+    expect(signer.verify(publicTx.hash(), publicTx.signatures[0].signature())).to.be.true;
+    expect(() => testTx.hash()).to.throw(/No network selected/);
+
+    let bound = new StellarBase.Transaction(envelope, StellarBase.Networks.PUBLIC);
+    expectBuffersToBeEqual(bound.hash(), publicTx.hash());
+  });
+
+  it("uses registered networks", function() {
+    let network     = StellarBase.Network.register("humaniq-test", {passphrase: "Humaniq Test Network ; 2018"});
+    let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+    let tx = new StellarBase.TransactionBuilder(source, {network: "humaniq-test"})
+                .addOperation(StellarBase.Operation.payment({destination, amount: "2000"}))
+                .build();
+    expect(tx.networkPassphrase).to.be.equal(network.networkPassphrase());
+    expect(tx.network()).to.be.equal(network);
+
+    let bound = new StellarBase.Transaction(tx.toEnvelope(), network);
+    expectBuffersToBeEqual(bound.hash(), tx.hash());
+    let byName = new StellarBase.Transaction(tx.toEnvelope(), "humaniq-test");
+    expect(byName.networkPassphrase).to.be.equal(network.networkPassphrase());
+    expectBuffersToBeEqual(byName.hash(), tx.hash());
+
+    expect(() => new StellarBase.TransactionBuilder(source, {network: "tesnet"})).to.throw(/Unknown network: tesnet/);
+
+    StellarBase.Network.unregister("humaniq-test");
+  });
+
+  it("detects the network an envelope was signed for", function() {
+    StellarBase.Network.register("humaniq-test", {passphrase: "Humaniq Test Network ; 2018"});
+    let sourceKey   = StellarBase.Keypair.random();
+    let opSourceKey = StellarBase.Keypair.random();
+    let cosigner    = StellarBase.Keypair.random();
+    let source      = new StellarBase.Account(sourceKey.publicKey(), "0", "100");
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+    let build = () => new StellarBase.TransactionBuilder(source, {network: "humaniq-test"})
+                .addOperation(StellarBase.Operation.payment({destination, amount: "2000", source: opSourceKey.publicKey()}))
+                .build();
+
+    let tx = build();
+    tx.sign(sourceKey);
+    let envelope = tx.toEnvelope().toXDR('base64');
+    expect(new StellarBase.Transaction(envelope).detectNetwork().name()).to.be.equal("humaniq-test");
+
+    tx = build();
+    tx.sign(opSourceKey);
+    expect(new StellarBase.Transaction(tx.toEnvelope()).detectNetwork().name()).to.be.equal("humaniq-test");
+
+    tx = build();
+    tx.sign(cosigner);
+    let unsignedBySources = new StellarBase.Transaction(tx.toEnvelope());
+    expect(unsignedBySources.detectNetwork()).to.be.null;
+    expect(unsignedBySources.detectNetwork([cosigner]).name()).to.be.equal("humaniq-test");
+
+    StellarBase.Network.unregister("humaniq-test");
+  });
+
+  it("round-trips through JSON to the same XDR", function() {
+    let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "12884901888", "100");
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+    let usd         = new StellarBase.Asset("USD", "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7");
+
+    let tx = new StellarBase.TransactionBuilder(source, {
+                  timebounds: {minTime: 1455287522, maxTime: "18446744073709551615"},
+                  networkPassphrase: StellarBase.Networks.PUBLIC
+                })
+                .addOperation(StellarBase.Operation.payment({destination, asset: usd, amount: "12.5"}))
+                .addOperation(StellarBase.Operation.manageOffer({selling: usd, buying: StellarBase.Asset.native(), amount: "1", price: {n: 2, d: 4}}))
+                .addMemo(StellarBase.Memo.id("18446744073709551615"))
+                .build();
+    tx.sign(StellarBase.Keypair.random());
+    tx.signHashX(crypto.randomBytes(32));
+
+    let json = JSON.parse(JSON.stringify(tx));
+    expect(json.source).to.be.equal(source.accountId());
+    expect(json.fee).to.be.equal(200);
+    expect(json.sequence).to.be.equal("12884901889");
+    expect(json.timeBounds).to.be.deep.equal({minTime: "1455287522", maxTime: "18446744073709551615"});
+    expect(json.memo).to.be.deep.equal({type: "id", value: "18446744073709551615"});
+    expect(json.operations[1].price).to.be.deep.equal({n: 2, d: 4});
+    expect(json.signatures.length).to.be.equal(2);
+    expect(json.networkPassphrase).to.be.equal(StellarBase.Networks.PUBLIC);
+
+    let decoded = StellarBase.Transaction.fromJSON(JSON.stringify(json));
+    expect(decoded.toEnvelope().toXDR('base64')).to.be.equal(tx.toEnvelope().toXDR('base64'));
+    expectBuffersToBeEqual(decoded.hash(), tx.hash());
+    expect(decoded.networkPassphrase).to.be.equal(StellarBase.Networks.PUBLIC);
+  });
+
+  it("round-trips transactions without timebounds through JSON", function() {
+    let source = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+    let tx = new StellarBase.TransactionBuilder(source)
+                .addOperation(StellarBase.Operation.inflation())
+                .build();
+
+    let json = tx.toJSON();
+    expect(json.timeBounds).to.be.undefined;
+    expect(json.networkPassphrase).to.be.undefined;
+    expect(json.memo).to.be.deep.equal({type: "none", value: null});
+    expect(StellarBase.Transaction.fromJSON(json).toEnvelope().toXDR('base64')).to.be.equal(tx.toEnvelope().toXDR('base64'));
+  });
+
+  describe("isValidAt & expiresIn", function() {
+    function buildTransaction(timebounds) {
+      let source = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+      return new StellarBase.TransactionBuilder(source, {timebounds})
+                  .addOperation(StellarBase.Operation.inflation())
+                  .build();
+    }
+
+    it("checks the timebounds", function() {
+      let tx = buildTransaction({minTime: "1455287522", maxTime: "1455297545"});
+      expect(tx.isValidAt(1455287521)).to.be.false;
+      expect(tx.isValidAt(1455287522)).to.be.true;
+      expect(tx.isValidAt(new Date(1455297545 * 1000))).to.be.true;
+      expect(tx.isValidAt(1455297546)).to.be.false;
+      expect(tx.isValidAt()).to.be.false;
+    });
+
+    it("treats a maxTime of 0 and missing timebounds as unbounded", function() {
+      expect(buildTransaction({minTime: "10", maxTime: "0"}).isValidAt(new Date())).to.be.true;
+      expect(buildTransaction().isValidAt(0)).to.be.true;
+      expect(buildTransaction({minTime: "10", maxTime: "0"}).expiresIn()).to.be.null;
+      expect(buildTransaction().expiresIn()).to.be.null;
+    });
+
+    it("returns the number of seconds until expiration", function() {
+      let tx = buildTransaction({minTime: "0", maxTime: "1455297545"});
+      expect(tx.expiresIn(1455297500)).to.be.equal(45);
+      expect(tx.expiresIn(new Date(1455297545 * 1000))).to.be.equal(0);
+      expect(tx.expiresIn(1455297600)).to.be.equal(0);
+
+      let now = Math.floor(Date.now() / 1000);
+      let expiring = buildTransaction({minTime: "0", maxTime: (now + 60).toString()});
+      expect(expiring.expiresIn()).to.be.within(59, 60);
+    });
+
+    it("rejects invalid dates", function() {
+      let tx = buildTransaction({minTime: "0", maxTime: "1455297545"});
+      let error = /date must be a Date or a non-negative integer unix timestamp/;
+      expect(() => tx.isValidAt("abc")).to.throw(error);
+      expect(() => tx.isValidAt(-1)).to.throw(error);
+      expect(() => tx.expiresIn(1.5)).to.throw(error);
+      expect(() => buildTransaction().isValidAt("abc")).to.throw(error);
+    });
+  });
+
+  describe("verifySignatures", function() {
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+
+    function buildTransaction(amount = "2000") {
+      let source = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
+      return new StellarBase.TransactionBuilder(source)
+                  .addOperation(StellarBase.Operation.payment({destination, amount}))
+                  .build();
+    }
+
+    it("reports the signer of every signature", function() {
+      let signer = StellarBase.Keypair.random();
+      let preimage = crypto.randomBytes(32);
+      let hashSigner = {sha256Hash: crypto.createHash('sha256').update(preimage).digest('hex'), weight: 1};
+
+      let tx = buildTransaction();
+      tx.sign(signer);
+      tx.signHashX(preimage);
+
+      let result = tx.verifySignatures([StellarBase.Keypair.random().publicKey(), signer.publicKey(), hashSigner]);
+      expect(result.valid).to.be.true;
+      expect(result.signatures.map(s => s.status)).to.be.deep.equal(["valid", "valid"]);
+      expect(result.signatures[0].signer).to.be.equal(signer.publicKey());
+      expect(result.signatures[1].signer).to.be.equal(hashSigner);
+      expect(result.preAuthTx).to.be.deep.equal([]);
+    });
+
+    it("flags invalid and unmatched signatures", function() {
+      let signer = StellarBase.Keypair.random();
+      let stranger = StellarBase.Keypair.random();
+
+      let tx = buildTransaction();
+      let other = buildTransaction("1000");
+      other.sign(signer);
+      tx.signatures.push(other.signatures[0]);
+      tx.sign(stranger);
+
+      let result = tx.verifySignatures([signer]);
+      expect(result.valid).to.be.false;
+      expect(result.signatures.map(s => s.status)).to.be.deep.equal(["invalid", "unmatched"]);
+      expect(result.signatures[0].signer).to.be.null;
+      expect(result.signatures[1].signer).to.be.null;
+    });
+
+    it("flags malformed signatures as invalid", function() {
+      let signer = StellarBase.Keypair.random();
+      let tx = buildTransaction();
+      tx.signatures.push(new StellarBase.xdr.DecoratedSignature({hint: signer.signatureHint(), signature: new Buffer([1, 2, 3])}));
+
+      let result = tx.verifySignatures([signer]);
+      expect(result.valid).to.be.false;
+      expect(result.signatures.map(s => s.status)).to.be.deep.equal(["invalid"]);
+      expect(result.signatures[0].signer).to.be.null;
+    });
+
+    it("matches pre-authorized transaction hashes", function() {
+      let tx = buildTransaction();
+      let preAuth = {preAuthTx: tx.hash()};
+      let other = {preAuthTx: buildTransaction("1000").hash().toString('hex')};
+
+      let result = tx.verifySignatures([preAuth, other]);
+      expect(result.valid).to.be.true;
+      expect(result.signatures).to.be.deep.equal([]);
+      expect(result.preAuthTx).to.be.deep.equal([preAuth]);
+    });
+
+    it("throws on invalid candidates", function() {
+      let tx = buildTransaction();
+      expect(() => tx.verifySignatures(["GBBB"])).to.throw(/Invalid signer candidate/);
+      expect(() => tx.verifySignatures([{weight: 1}])).to.throw(/Signer candidate must be/);
+    });
+  });
+
   it("accepts 0 as a valid transaction fee", function(done) {
     let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0", "100");
     let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
@@ -129,6 +446,180 @@ describe('Transaction', function() {
     done();
   });
 
+  describe("describe", function() {
+    let source = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+    let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+    let usd = new StellarBase.Asset("USD", source);
+
+    function build(...operations) {
+      let builder = new StellarBase.TransactionBuilder(new StellarBase.Account(source, "0", "100"));
+      operations.forEach(operation => builder.addOperation(operation));
+      return builder.build();
+    }
+
+    it("describes operations in English", function() {
+      let transaction = build(
+        StellarBase.Operation.createAccount({destination, startingBalance: "20", accountType: StellarBase.AccountType.AGENT}),
+        StellarBase.Operation.emission({destination, amount: "100"}),
+        StellarBase.Operation.payment({destination, asset: usd, amount: "5", source: destination}),
+        StellarBase.Operation.spendFee({destination, amount: "1.5"}),
+        StellarBase.Operation.setFee({baseFee: 200}),
+        StellarBase.Operation.restrictAccount({account: destination, setFlags: StellarBase.BlockIncomingFlag | StellarBase.BlockOutgoingFlag}),
+        StellarBase.Operation.setOptions({
+          masterWeight: 1,
+          signer: {ed25519PublicKey: destination, weight: 5, signerType: StellarBase.SignerType.ADMIN}
+        })
+      );
+
+      expect(transaction.describe()).to.be.deep.equal([
+        `Create account ${destination} of type agent with a starting balance of 20 XLM.`,
+        `Emit 100 XLM to ${destination}.`,
+        `Account ${destination}: Pay 5 USD (issuer ${source}) to ${destination}.`,
+        `Transfer 1.5 XLM of collected fees to ${destination}.`,
+        "Set the base fee to 200 stroops.",
+        `Restrict account ${destination}: set flags block incoming, block outgoing.`,
+        `Set options: set master key weight to 1; add admin signer ${destination} with weight 5.`
+      ]);
+    });
+
+    it("describes operations in Ukrainian", function() {
+      let transaction = build(
+        StellarBase.Operation.settlement({amount: "10"}),
+        StellarBase.Operation.restrictAccount({account: destination, clearFlags: StellarBase.BlockOutgoingFlag}),
+        StellarBase.Operation.setOptions({setFlags: StellarBase.AuthRequiredFlag}),
+        StellarBase.Operation.changeTrust({asset: usd, limit: "0"})
+      );
+
+      expect(transaction.describe("uk")).to.be.deep.equal([
+        "Погасити 10 XLM.",
+        `Обмежити рахунок ${destination}: зняти прапорці блокування вихідних.`,
+        "Змінити налаштування: встановити прапорці обов’язкова авторизація.",
+        `Видалити лінію довіри до USD (емітент ${source}).`
+      ]);
+    });
+
+    function everyOperation() {
+      let eur = new StellarBase.Asset("EUR", destination);
+      let native = StellarBase.Asset.native();
+      return build(
+        StellarBase.Operation.pathPayment({sendAsset: usd, sendMax: "10", destination, destAsset: eur, destAmount: "8", path: []}),
+        StellarBase.Operation.manageOffer({selling: usd, buying: native, amount: "3", price: "0.5"}),
+        StellarBase.Operation.manageOffer({selling: usd, buying: native, amount: "4", price: "2", offerId: "7"}),
+        StellarBase.Operation.manageOffer({selling: usd, buying: native, amount: "0", price: "2", offerId: "7"}),
+        StellarBase.Operation.createPassiveOffer({selling: eur, buying: native, amount: "5", price: "1.5"}),
+        StellarBase.Operation.allowTrust({trustor: destination, assetCode: "USD", authorize: true}),
+        StellarBase.Operation.allowTrust({trustor: destination, assetCode: "USD", authorize: false}),
+        StellarBase.Operation.accountMerge({destination}),
+        StellarBase.Operation.inflation(),
+        StellarBase.Operation.manageData({name: "note", value: "hello"}),
+        StellarBase.Operation.manageData({name: "key", value: new Buffer([0xff, 0x00])}),
+        StellarBase.Operation.manageData({name: "note", value: null}),
+        StellarBase.Operation.changeTrust({asset: eur, limit: "1000"}),
+        StellarBase.Operation.setOptions({
+          inflationDest: destination,
+          clearFlags: StellarBase.AuthRevocableFlag,
+          setFlags: StellarBase.AuthRequiredFlag | 64,
+          lowThreshold: 1,
+          medThreshold: 2,
+          highThreshold: 3,
+          homeDomain: "humaniq.com"
+        }),
+        StellarBase.Operation.setOptions({signer: {ed25519PublicKey: destination, weight: 0, signerType: StellarBase.SignerType.GENERAL}}),
+        StellarBase.Operation.setOptions({signer: {preAuthTx: new Buffer(32).fill(1), weight: 1, signerType: StellarBase.SignerType.EMISSION}}),
+        StellarBase.Operation.setOptions({signer: {sha256Hash: new Buffer(32).fill(2), weight: 2, signerType: StellarBase.SignerType.COMMISSION}}),
+        StellarBase.Operation.setOptions({}),
+        StellarBase.Operation.createAccount({destination, startingBalance: "1", accountType: StellarBase.AccountType.MASTER}),
+        StellarBase.Operation.restrictAccount({account: destination, setFlags: 0, clearFlags: 0}),
+        StellarBase.Operation.restrictAccount({account: destination, clearFlags: StellarBase.BlockIncomingFlag}),
+        StellarBase.Operation.settlement({amount: "2"}),
+        StellarBase.Operation.changeTrust({asset: eur, limit: "0"})
+      );
+    }
+
+    let preAuthTx = new Buffer(32).fill(1).toString('hex');
+    let sha256Hash = new Buffer(32).fill(2).toString('hex');
+
+    it("describes every operation type in English", function() {
+      expect(everyOperation().describe("en")).to.be.deep.equal([
+        `Send at most 10 USD (issuer ${source}) so that ${destination} receives 8 EUR (issuer ${destination}).`,
+        `Create an offer to sell 3 USD (issuer ${source}) for XLM at a price of 0.5.`,
+        `Update offer 7 to sell 4 USD (issuer ${source}) for XLM at a price of 2.`,
+        "Delete offer 7.",
+        `Create a passive offer to sell 5 EUR (issuer ${destination}) for XLM at a price of 1.5.`,
+        `Authorize ${destination} to hold USD.`,
+        `Revoke the authorization of ${destination} to hold USD.`,
+        `Merge the account into ${destination}.`,
+        "Run inflation.",
+        `Set data entry "note" to "hello".`,
+        `Set data entry "key" to hex value ff00.`,
+        `Delete data entry "note".`,
+        `Trust EUR (issuer ${destination}) up to 1000.`,
+        `Set options: set inflation destination to ${destination}; set flags auth required, 64; clear flags auth revocable; ` +
+          `set low threshold to 1; set medium threshold to 2; set high threshold to 3; set home domain to "humaniq.com".`,
+        `Set options: remove signer ${destination}.`,
+        `Set options: add emission signer pre-authorized transaction ${preAuthTx} with weight 1.`,
+        `Set options: add commission signer hash ${sha256Hash} with weight 2.`,
+        "Set options without changes.",
+        `Create account ${destination} of type master with a starting balance of 1 XLM.`,
+        `Restrict account ${destination} without changes.`,
+        `Restrict account ${destination}: clear flags block incoming.`,
+        "Settle 2 XLM.",
+        `Remove the trust line to EUR (issuer ${destination}).`
+      ]);
+    });
+
+    it("describes every operation type in Ukrainian", function() {
+      let transaction = build(
+        StellarBase.Operation.createAccount({destination, startingBalance: "20", accountType: StellarBase.AccountType.ANONYMOUS_USER}),
+        StellarBase.Operation.emission({destination, amount: "100"}),
+        StellarBase.Operation.payment({destination, asset: usd, amount: "5", source: destination}),
+        StellarBase.Operation.spendFee({destination, amount: "1.5"}),
+        StellarBase.Operation.setFee({baseFee: 200}),
+        StellarBase.Operation.setOptions({masterWeight: 1, signer: {ed25519PublicKey: destination, weight: 5, signerType: StellarBase.SignerType.ADMIN}})
+      );
+      expect(transaction.describe("uk")).to.be.deep.equal([
+        `Створити рахунок ${destination} типу «анонімний користувач» з початковим балансом 20 XLM.`,
+        `Емітувати 100 XLM на рахунок ${destination}.`,
+        `Рахунок ${destination}: Переказати 5 USD (емітент ${source}) на рахунок ${destination}.`,
+        `Переказати 1.5 XLM зібраних комісій на рахунок ${destination}.`,
+        "Встановити базову комісію (у струпах): 200.",
+        `Змінити налаштування: встановити вагу головного ключа 1; додати підписанта ${destination} типу «адміністратор» з вагою 5.`
+      ]);
+
+      expect(everyOperation().describe("uk")).to.be.deep.equal([
+        `Надіслати не більше 10 USD (емітент ${source}), щоб рахунок ${destination} отримав 8 EUR (емітент ${destination}).`,
+        `Створити пропозицію продати 3 USD (емітент ${source}) за XLM за ціною 0.5.`,
+        `Змінити пропозицію 7: продати 4 USD (емітент ${source}) за XLM за ціною 2.`,
+        "Видалити пропозицію 7.",
+        `Створити пасивну пропозицію продати 5 EUR (емітент ${destination}) за XLM за ціною 1.5.`,
+        `Дозволити рахунку ${destination} тримати USD.`,
+        `Заборонити рахунку ${destination} тримати USD.`,
+        `Об’єднати рахунок з рахунком ${destination}.`,
+        "Запустити інфляцію.",
+        "Записати в поле даних «note» значення «hello».",
+        "Записати в поле даних «key» шістнадцяткове значення ff00.",
+        "Видалити поле даних «note».",
+        `Довіряти EUR (емітент ${destination}) з лімітом 1000.`,
+        `Змінити налаштування: встановити рахунок інфляції ${destination}; встановити прапорці обов’язкова авторизація, 64; ` +
+          `зняти прапорці відклична авторизація; встановити низький поріг 1; встановити середній поріг 2; встановити високий поріг 3; ` +
+          "встановити домашній домен «humaniq.com».",
+        `Змінити налаштування: видалити підписанта ${destination}.`,
+        `Змінити налаштування: додати підписанта попередньо авторизована транзакція ${preAuthTx} типу «емісія» з вагою 1.`,
+        `Змінити налаштування: додати підписанта геш ${sha256Hash} типу «комісія» з вагою 2.`,
+        "Змінити налаштування без змін.",
+        `Створити рахунок ${destination} типу «головний» з початковим балансом 1 XLM.`,
+        `Обмежити рахунок ${destination} без змін.`,
+        `Обмежити рахунок ${destination}: зняти прапорці блокування вхідних.`,
+        "Погасити 2 XLM.",
+        `Видалити лінію довіри до EUR (емітент ${destination}).`
+      ]);
+    });
+
+    it("throws an error for unsupported locales", function() {
+      let transaction = build(StellarBase.Operation.inflation());
+      expect(() => transaction.describe("de")).to.throw(/Unsupported locale: de/);
+    });
+  });
 });
 
 function expectBuffersToBeEqual(left, right) {
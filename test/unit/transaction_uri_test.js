@@ -0,0 +1,84 @@
+describe('TransactionUri', function() {
+  let source = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let passphrase = StellarBase.Networks.TESTNET;
+  let transaction;
+
+  beforeEach(function() {
+    transaction = new StellarBase.TransactionBuilder(new StellarBase.Account(source, "0", "100"), {networkPassphrase: passphrase})
+      .addOperation(StellarBase.Operation.payment({destination, amount: "10"}))
+      .build();
+  });
+
+  it("encodes and decodes tx URIs", function() {
+    let uri = StellarBase.TransactionUri.tx(transaction, {
+      callback: "https://example.com/sign?id=1",
+      msg: "Pay salary & bonus"
+    });
+    let envelope = transaction.toEnvelope().toXDR('base64');
+
+    expect(uri).to.be.equal(
+      "web+stellar:tx?xdr=" + encodeURIComponent(envelope) +
+      "&callback=" + encodeURIComponent("url:https://example.com/sign?id=1") +
+      "&network_passphrase=" + encodeURIComponent(passphrase) +
+      "&msg=Pay%20salary%20%26%20bonus"
+    );
+
+    let result = StellarBase.TransactionUri.parse(uri);
+    expect(result.operation).to.be.equal("tx");
+    expect(result.xdr).to.be.equal(envelope);
+    expect(result.callback).to.be.equal("https://example.com/sign?id=1");
+    expect(result.networkPassphrase).to.be.equal(passphrase);
+    expect(result.msg).to.be.equal("Pay salary & bonus");
+    expect(result.transaction.hash().toString('hex')).to.be.equal(transaction.hash().toString('hex'));
+    expect(result.signature).to.be.undefined;
+
+    let unescaped = StellarBase.TransactionUri.parse(`web+stellar:tx?xdr=${envelope}`);
+    expect(unescaped.xdr).to.be.equal(envelope);
+  });
+
+  it("encodes and decodes pay URIs", function() {
+    let usd = new StellarBase.Asset("USD", source);
+    let hash = new Buffer(32).fill(7);
+    let uri = StellarBase.TransactionUri.pay({destination, amount: "12.5", asset: usd, memo: StellarBase.Memo.hash(hash)});
+
+    let result = StellarBase.TransactionUri.parse(uri);
+    expect(result.operation).to.be.equal("pay");
+    expect(result.destination).to.be.equal(destination);
+    expect(result.amount).to.be.equal("12.5");
+    expect(result.asset.equals(usd)).to.be.true;
+    expect(result.memo.type).to.be.equal(StellarBase.MemoHash);
+    expect(result.memo.value.toString('hex')).to.be.equal(hash.toString('hex'));
+
+    let simple = StellarBase.TransactionUri.parse(StellarBase.TransactionUri.pay({destination, memo: StellarBase.Memo.text("invoice 7")}));
+    expect(simple.amount).to.be.undefined;
+    expect(simple.asset).to.be.undefined;
+    expect(simple.memo.value).to.be.equal("invoice 7");
+
+    let native = StellarBase.TransactionUri.pay({destination, asset: StellarBase.Asset.native()});
+    expect(native).to.match(/asset_code=XLM/);
+    expect(native).not.to.match(/asset_issuer/);
+    expect(StellarBase.TransactionUri.parse(native).asset.isNative()).to.be.true;
+  });
+
+  it("signs and verifies URIs", function() {
+    let issuer = StellarBase.Keypair.random();
+    let uri = StellarBase.TransactionUri.tx(transaction, {originDomain: "humaniq.com", signer: issuer});
+
+    expect(StellarBase.TransactionUri.parse(uri).originDomain).to.be.equal("humaniq.com");
+    expect(StellarBase.TransactionUri.parse(uri).signature).to.be.a('string');
+    expect(StellarBase.TransactionUri.verify(uri, issuer.publicKey())).to.be.true;
+    expect(StellarBase.TransactionUri.verify(uri, StellarBase.Keypair.random())).to.be.false;
+    expect(StellarBase.TransactionUri.verify(uri.replace("humaniq.com", "example.com"), issuer)).to.be.false;
+    expect(StellarBase.TransactionUri.verify(StellarBase.TransactionUri.tx(transaction), issuer)).to.be.false;
+  });
+
+  it("rejects invalid URIs", function() {
+    expect(() => StellarBase.TransactionUri.parse("https://example.com")).to.throw(/URI must start with web\+stellar:/);
+    expect(() => StellarBase.TransactionUri.parse("web+stellar:sign?xdr=AAAA")).to.throw(/Unsupported URI operation: sign/);
+    expect(() => StellarBase.TransactionUri.parse("web+stellar:pay?amount=1")).to.throw(/destination parameter is required/);
+    expect(() => StellarBase.TransactionUri.parse(`web+stellar:pay?destination=${destination}&asset_code=USD`)).to.throw(/asset_issuer parameter is required for asset_code USD/);
+    expect(() => StellarBase.TransactionUri.pay({destination: "GABC"})).to.throw(/destination is invalid/);
+    expect(() => StellarBase.TransactionUri.tx(transaction, {msg: new Array(302).join("a")})).to.throw(/msg cannot be longer than 300 characters/);
+  });
+});